@@ -1,12 +1,17 @@
 // We use webpack to package our shaders as string resources that we can import
-import { mat4 } from "gl-matrix";
+import { mat4, vec3 } from "gl-matrix";
 import { ArcballCamera } from "arcball_camera";
 import { Controller } from "ez_canvas_controller";
 
-import shaderCode from "./gltf_prim.wgsl";
 import duck from "./Duck.glb";
 
-import { uploadGLB } from "./import_glb";
+import { uploadGLB, uploadGLTF } from "./gltf_upload";
+import { makeFileMapResolver } from "./gltf_uri_resolver";
+import {
+  createDefaultEnvironment,
+  createEnvironment,
+} from "./gltf_environment";
+import { parseHDR } from "./import_hdr";
 
 (async () => {
   if (navigator.gpu === undefined) {
@@ -19,31 +24,22 @@ import { uploadGLB } from "./import_glb";
     return;
   }
 
-  // Get a GPU device to render with
+  // Get a GPU device to render with, enabling the compressed texture formats
+  // supported by the adapter so KTX2 images can be transcoded to them
   let adapter = await navigator.gpu.requestAdapter();
-  let device = await adapter.requestDevice();
+  const compressionFeatures = [
+    "texture-compression-bc",
+    "texture-compression-etc2",
+    "texture-compression-astc",
+  ].filter((f) => adapter.features.has(f)) as Array<GPUFeatureName>;
+  let device = await adapter.requestDevice({
+    requiredFeatures: compressionFeatures,
+  });
 
   // Get a context to display our rendered image on the canvas
   let canvas = document.getElementById("webgpu-canvas") as HTMLCanvasElement;
   let context = canvas.getContext("webgpu");
 
-  // Setup shader modules
-  let shaderModule = device.createShaderModule({ code: shaderCode });
-  let compilationInfo = await shaderModule.getCompilationInfo();
-  if (compilationInfo.messages.length > 0) {
-    let hadError = false;
-    console.log("Shader compilation log:");
-    for (let i = 0; i < compilationInfo.messages.length; ++i) {
-      let msg = compilationInfo.messages[i];
-      console.log(`${msg.lineNum}:${msg.linePos} - ${msg.message}`);
-      hadError = hadError || msg.type == "error";
-    }
-    if (hadError) {
-      console.log("Shader failed to compile");
-      return;
-    }
-  }
-
   // Setup render outputs
   let swapChainFormat = "bgra8unorm" as GPUTextureFormat;
   context.configure({
@@ -59,20 +55,22 @@ import { uploadGLB } from "./import_glb";
     usage: GPUTextureUsage.RENDER_ATTACHMENT,
   });
 
-  // Create bind group layout
+  // Create bind group layout. The camera position in the view params
+  // is also used for shading in the fragment shader
   let bindGroupLayout = device.createBindGroupLayout({
     entries: [
       {
         binding: 0,
-        visibility: GPUShaderStage.VERTEX,
+        visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT,
         buffer: { type: "uniform" },
       },
     ],
   });
 
-  // Create a buffer to store the view parameters
+  // Create a buffer to store the view parameters: the view projection matrix,
+  // followed by the viewport size and point size in pixels and the camera position
   let viewParamsBuffer = device.createBuffer({
-    size: 16 * 4,
+    size: 24 * 4,
     usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
   });
 
@@ -81,14 +79,53 @@ import { uploadGLB } from "./import_glb";
     entries: [{ binding: 0, resource: { buffer: viewParamsBuffer } }],
   });
 
-  // Load the packaged GLB file
-  let scene = await fetch(duck)
+  // The environment lighting the scene. Until an HDR environment map
+  // is loaded we use a constant environment providing some ambient light
+  let environment = createDefaultEnvironment(device);
+  let envRotationSlider = document.getElementById(
+    "environmentRotation"
+  ) as HTMLInputElement;
+  let envIntensitySlider = document.getElementById(
+    "environmentIntensity"
+  ) as HTMLInputElement;
+  const updateEnvironmentParams = () => {
+    environment.rotation = (envRotationSlider.valueAsNumber * Math.PI) / 180.0;
+    environment.intensity = envIntensitySlider.valueAsNumber;
+    environment.upload(device);
+  };
+  envRotationSlider.oninput = updateEnvironmentParams;
+  envIntensitySlider.oninput = updateEnvironmentParams;
+
+  document.getElementById("uploadHDR").onchange = async function (evt) {
+    let picker = evt.target as HTMLInputElement;
+    if (!picker.files || picker.files.length == 0) {
+      return;
+    }
+    // If the file fails to load we report the error and keep the current environment
+    let loaded = null;
+    try {
+      const hdr = parseHDR(await picker.files[0].arrayBuffer());
+      loaded = createEnvironment(device, hdr);
+    } catch (err) {
+      console.error(err);
+      alert(`Failed to load the environment map:\n${(err as Error).message}`);
+      return;
+    }
+    environment.destroy();
+    environment = loaded;
+    updateEnvironmentParams();
+  };
+
+  // Load the packaged GLB file and show its active scene
+  let gltf = await fetch(duck)
     .then((res) => res.arrayBuffer())
     .then((buf) => uploadGLB(buf, device));
+  let scene = gltf.scene;
+  let loadingText = document.getElementById("loading-text");
+  loadingText.hidden = true;
 
   scene.buildRenderPipeline(
     device,
-    shaderModule,
     swapChainFormat,
     depthFormat,
     bindGroupLayout
@@ -96,47 +133,190 @@ import { uploadGLB } from "./import_glb";
 
   console.log(scene);
 
-  // Setup onchange listener for file uploads
-  document.getElementById("uploadGLB").onchange = function (evt) {
-    document.getElementById("loading-text").hidden = false;
-    let reader = new FileReader();
-    reader.onerror = function () {
-      throw Error("Error reading GLB file");
-    };
-    reader.onload = async function () {
-      if (!reader.result) {
-        return;
-      }
-      scene = await uploadGLB(reader.result as ArrayBuffer, device);
-      scene.buildRenderPipeline(
-        device,
-        shaderModule,
-        swapChainFormat,
-        depthFormat,
-        bindGroupLayout
-      );
-      console.log(scene);
-    };
+  // Setup the animation controls, listing the scene's animation clips
+  // and playing the first one
+  let animationList = document.getElementById(
+    "animationList"
+  ) as HTMLSelectElement;
+  let playPauseButton = document.getElementById(
+    "playPauseAnimation"
+  ) as HTMLButtonElement;
+  let loopCheckbox = document.getElementById(
+    "loopAnimation"
+  ) as HTMLInputElement;
+  let seekSlider = document.getElementById("seekAnimation") as HTMLInputElement;
+  let pointSizeSlider = document.getElementById(
+    "pointSize"
+  ) as HTMLInputElement;
+  let currentAnimation = () => scene.getAnimation(animationList.value);
+
+  // Setup the camera list, which has the free arcball camera
+  // followed by the cameras placed in the scene
+  let cameraList = document.getElementById("cameraList") as HTMLSelectElement;
+  const setupCameras = () => {
+    cameraList.innerHTML = "";
+    let freeCamera = document.createElement("option");
+    freeCamera.text = "Free Camera";
+    cameraList.appendChild(freeCamera);
+    for (let i = 0; i < scene.cameras.length; ++i) {
+      let opt = document.createElement("option");
+      opt.text = scene.cameras[i].name ?? `camera_${i}`;
+      cameraList.appendChild(opt);
+    }
+    document.getElementById("cameraControls").hidden =
+      scene.cameras.length == 0;
+  };
+  setupCameras();
+
+  const setupAnimations = () => {
+    animationList.innerHTML = "";
+    for (let a of scene.animations) {
+      let opt = document.createElement("option");
+      opt.value = a.name;
+      opt.text = a.name;
+      animationList.appendChild(opt);
+    }
+    document.getElementById("animationControls").hidden =
+      scene.animations.length == 0;
+    if (scene.animations.length > 0) {
+      scene.animations[0].play(loopCheckbox.checked);
+    }
+  };
+  setupAnimations();
+
+  // Setup the scene list, which is shown for files with multiple scenes
+  let sceneList = document.getElementById("sceneList") as HTMLSelectElement;
+  const setupScenes = () => {
+    sceneList.innerHTML = "";
+    for (let s of gltf.scenes) {
+      let opt = document.createElement("option");
+      opt.text = s.name;
+      sceneList.appendChild(opt);
+    }
+    sceneList.selectedIndex = gltf.activeSceneIndex ?? -1;
+    document.getElementById("sceneControls").hidden = gltf.scenes.length < 2;
+  };
+  setupScenes();
+
+  // Show the document's active scene, building its render pipelines and
+  // listing its animations and cameras
+  const showActiveScene = () => {
+    scene = gltf.scene;
+    // Nodes can be shared by multiple scenes, so the pipelines are rebuilt
+    // to bind the lights of the scene being shown
+    scene.buildRenderPipeline(
+      device,
+      swapChainFormat,
+      depthFormat,
+      bindGroupLayout
+    );
+    setupAnimations();
+    setupCameras();
+    camera = makeFittedCamera();
+  };
+  sceneList.onchange = () => {
+    gltf.setActiveScene(sceneList.selectedIndex);
+    showActiveScene();
+  };
+
+  animationList.onchange = () => {
+    for (let a of scene.animations) {
+      a.stop();
+    }
+    currentAnimation()?.play(loopCheckbox.checked);
+  };
+  playPauseButton.onclick = () => {
+    let anim = currentAnimation();
+    if (anim?.playing) {
+      anim.pause();
+    } else {
+      anim?.play(loopCheckbox.checked);
+    }
+  };
+  loopCheckbox.onchange = () => {
+    let anim = currentAnimation();
+    if (anim) {
+      anim.loop = loopCheckbox.checked;
+    }
+  };
+  seekSlider.oninput = () => {
+    let anim = currentAnimation();
+    anim?.seek(anim.duration * seekSlider.valueAsNumber);
+  };
+
+  // Setup onchange listener for file uploads. Either a single .glb file can be
+  // picked, or a .gltf file along with the .bin and image files it references
+  document.getElementById("uploadGLB").onchange = async function (evt) {
     let picker = evt.target as HTMLInputElement;
-    if (picker.files) {
-      reader.readAsArrayBuffer(picker.files[0]);
-    }
-  };
-
-  // Setup the camera
-  let camera = new ArcballCamera([0, 1, -3], [0, 1, 0], [0, 1, 0], 2.5, [
-    canvas.width,
-    canvas.height,
-  ]);
-  let proj = mat4.perspective(
-    mat4.create(),
-    (50 * Math.PI) / 180.0,
-    canvas.width / canvas.height,
-    0.01,
-    100
-  );
+    if (!picker.files || picker.files.length == 0) {
+      return;
+    }
+    const files = Array.from(picker.files);
+    const gltfFile = files.find((f) => f.name.toLowerCase().endsWith(".gltf"));
+    const resolver = makeFileMapResolver(files);
+    loadingText.hidden = false;
+    // If the file fails to load we report the errors and keep showing the current file
+    let loaded = null;
+    try {
+      if (gltfFile) {
+        loaded = await uploadGLTF(await gltfFile.text(), device, resolver);
+      } else {
+        const glbFile =
+          files.find((f) => f.name.toLowerCase().endsWith(".glb")) ?? files[0];
+        loaded = await uploadGLB(await glbFile.arrayBuffer(), device, resolver);
+      }
+    } catch (err) {
+      console.error(err);
+      alert(`Failed to load the file:\n${(err as Error).message}`);
+      return;
+    } finally {
+      loadingText.hidden = true;
+    }
+    for (let a of scene.animations) {
+      a.stop();
+    }
+    gltf = loaded;
+    setupScenes();
+    showActiveScene();
+  };
+
+  // Setup the camera. The free camera and its clip planes are fit to the scene's
+  // bounds, so that files of any scale are in view when they're loaded
+  const fovy = (50 * Math.PI) / 180.0;
+  let proj = mat4.create();
   let projView = mat4.create();
 
+  // Create a camera placed so that the bounding sphere of the scene fills
+  // the view, looking at the scene's center along +Z
+  const makeFittedCamera = () => {
+    let center = vec3.fromValues(0, 0, 0);
+    let radius = 1;
+    const bounds = scene.bounds;
+    if (bounds) {
+      vec3.lerp(center, bounds.min, bounds.max, 0.5);
+      radius = Math.max(vec3.dist(bounds.min, bounds.max) * 0.5, 1e-3);
+    }
+    const distance = radius / Math.sin(fovy * 0.5);
+    const eye = vec3.fromValues(center[0], center[1], center[2] - distance);
+    // Leave room to zoom in close to the scene and out far from it
+    mat4.perspectiveZO(
+      proj,
+      fovy,
+      canvas.width / canvas.height,
+      radius * 0.01,
+      distance + radius * 100
+    );
+    // The zoom speed is scaled so zooming takes the same number of steps at any scale
+    return new ArcballCamera(eye, center, [0, 1, 0], 2.5 * radius, [
+      canvas.width,
+      canvas.height,
+    ]);
+  };
+  let camera = makeFittedCamera();
+  document.getElementById("fitCamera").onclick = () => {
+    camera = makeFittedCamera();
+  };
+
   // Register mouse and touch listeners
   let controller = new Controller();
   controller.mousemove = function (
@@ -180,18 +360,41 @@ import { uploadGLB } from "./import_glb";
   };
 
   // Render!
-  const render = () => {
-    // Update camera buffer
-    projView = mat4.mul(projView, proj, camera.camera);
+  let prevTime = performance.now();
+  const render = (time: number) => {
+    // Advance the animations and update the animated node transforms
+    const dt = Math.max(time - prevTime, 0) / 1000.0;
+    prevTime = time;
+    scene.update(device, dt);
+    let anim = currentAnimation();
+    if (anim?.playing && anim.duration > 0) {
+      seekSlider.valueAsNumber = anim.time / anim.duration;
+    }
+
+    // Update camera buffer, using the selected scene camera or the free camera
+    let eyePos = camera.eyePos();
+    const sceneCamera = scene.cameras[cameraList.selectedIndex - 1];
+    if (sceneCamera) {
+      projView = mat4.mul(
+        projView,
+        sceneCamera.camera.projectionMatrix(canvas.width / canvas.height),
+        sceneCamera.viewMatrix
+      );
+      eyePos = sceneCamera.position;
+    } else {
+      projView = mat4.mul(projView, proj, camera.camera);
+    }
 
     let upload = device.createBuffer({
-      size: 16 * 4,
+      size: 24 * 4,
       usage: GPUBufferUsage.COPY_SRC,
       mappedAtCreation: true,
     });
     {
       let map = new Float32Array(upload.getMappedRange());
       map.set(projView);
+      map.set([canvas.width, canvas.height, pointSizeSlider.valueAsNumber], 16);
+      map.set(eyePos, 20);
       upload.unmap();
     }
 
@@ -200,11 +403,11 @@ import { uploadGLB } from "./import_glb";
       .createView();
 
     let commandEncoder = device.createCommandEncoder();
-    commandEncoder.copyBufferToBuffer(upload, 0, viewParamsBuffer, 0, 16 * 4);
+    commandEncoder.copyBufferToBuffer(upload, 0, viewParamsBuffer, 0, 24 * 4);
 
     let renderPass = commandEncoder.beginRenderPass(renderPassDesc);
 
-    scene.render(renderPass, viewParamBG);
+    scene.render(renderPass, viewParamBG, environment, eyePos);
 
     renderPass.end();
     device.queue.submit([commandEncoder.finish()]);
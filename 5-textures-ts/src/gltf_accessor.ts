@@ -1,30 +1,98 @@
-import { GLTFBufferView } from "./gltf_buffer";
+import { GLTFBuffer, GLTFBufferView } from "./gltf_buffer";
 import {
   GLTFComponentType,
   GLTFType,
+  gltfComponentSize,
+  gltfTypeNumComponents,
   gltfTypeSize,
   gltfVertexType,
 } from "./gltf_enums";
 
+// Sparse storage for an accessor's data. The sparse values are written over the
+// accessor's base data (or zeros if it has no buffer view) at the sparse indices
+export class GLTFSparse {
+  count: number;
+
+  indicesView: GLTFBufferView;
+  indicesByteOffset: number;
+  indicesComponentType: GLTFComponentType;
+
+  valuesView: GLTFBufferView;
+  valuesByteOffset: number;
+
+  constructor(
+    count: number,
+    indicesView: GLTFBufferView,
+    indicesByteOffset: number,
+    indicesComponentType: GLTFComponentType,
+    valuesView: GLTFBufferView,
+    valuesByteOffset: number
+  ) {
+    this.count = count;
+    this.indicesView = indicesView;
+    this.indicesByteOffset = indicesByteOffset;
+    this.indicesComponentType = indicesComponentType;
+    this.valuesView = valuesView;
+    this.valuesByteOffset = valuesByteOffset;
+  }
+
+  // Read the i'th sparse index, i.e., the element the i'th sparse value replaces
+  readIndex(i: number) {
+    const data = new DataView(
+      this.indicesView.view.buffer,
+      this.indicesView.view.byteOffset,
+      this.indicesView.view.byteLength
+    );
+    const offset =
+      this.indicesByteOffset + i * gltfComponentSize(this.indicesComponentType);
+    switch (this.indicesComponentType) {
+      case GLTFComponentType.UNSIGNED_BYTE:
+        return data.getUint8(offset);
+      case GLTFComponentType.UNSIGNED_SHORT:
+        return data.getUint16(offset, true);
+      case GLTFComponentType.UNSIGNED_INT:
+        return data.getUint32(offset, true);
+      default:
+        throw Error(
+          `Invalid sparse indices component type ${this.indicesComponentType}`
+        );
+    }
+  }
+}
+
 export class GLTFAccessor {
   count: number;
   componentType: GLTFComponentType;
   gltfType: GLTFType;
   view: GLTFBufferView;
   byteOffset: number;
+  // If the integer data should be normalized to [0, 1] (unsigned) or [-1, 1] (signed)
+  // when read, e.g., as used by KHR_mesh_quantization
+  normalized: boolean;
+
+  // The minimum and maximum value of each component given in the file, if any.
+  // These are the values stored in the buffer, i.e., before normalization
+  min: Array<number> | null = null;
+  max: Array<number> | null = null;
+
+  // A float32 copy of the accessor, created when the accessor's data
+  // has no WebGPU vertex format that can be read as a float in the shader
+  float32Accessor: GLTFAccessor = null;
 
   constructor(
     view: GLTFBufferView,
     count: number,
     componentType: GLTFComponentType,
     gltfType: GLTFType,
-    byteOffset: number
+    byteOffset: number,
+    normalized: boolean = false
   ) {
     this.count = count;
     this.componentType = componentType;
     this.gltfType = gltfType;
     this.view = view;
     this.byteOffset = byteOffset;
+    this.normalized = normalized;
   }
 
   get byteStride() {
@@ -32,12 +100,285 @@ export class GLTFAccessor {
     return Math.max(elementSize, this.view.byteStride);
   }
 
+  // The size of a single element when read as a vertex attribute. Padded vec3s
+  // are read as 4 components, so their padding is included
+  get vertexElementSize() {
+    if (this.isPaddedVec3) {
+      return 4 * gltfComponentSize(this.componentType);
+    }
+    return gltfTypeSize(this.componentType, this.gltfType);
+  }
+
+  // The number of bytes spanned by the accessor's elements. Note that the last element
+  // doesn't include the stride padding, as with interleaved attributes the stride can
+  // run past the end of the buffer view
   get byteLength() {
-    return this.count * this.byteStride;
+    if (this.count == 0) {
+      return 0;
+    }
+    return (this.count - 1) * this.byteStride + this.vertexElementSize;
+  }
+
+  get numComponents() {
+    return gltfTypeNumComponents(this.gltfType);
   }
 
   // Get the vertex attribute type for accessors that are used as vertex attributes
   get elementType() {
-    return gltfVertexType(this.componentType, this.gltfType);
+    return gltfVertexType(this.componentType, this.gltfType, this.normalized);
+  }
+
+  // The bounds of the accessor's values from the min and max given in the file,
+  // converted to floats for normalized data. Returns null if the file doesn't
+  // give the bounds
+  get floatBounds() {
+    if (!this.min || !this.max) {
+      return null;
+    }
+    const toFloat = (v: number) =>
+      this.normalized ? normalizeComponent(v, this.componentType) : v;
+    return { min: this.min.map(toFloat), max: this.max.map(toFloat) };
+  }
+
+  // Check if the accessor's data is read as floats by the shader, i.e.,
+  // it is float data or normalized integer data
+  get isFloatVertexType() {
+    return this.componentType == GLTFComponentType.FLOAT || this.normalized;
+  }
+
+  // 3 component byte and short types don't have a WebGPU vertex format,
+  // but can be read using the 4 component format if each element
+  // is padded to 4 components, as required by the glTF spec for vertex attributes
+  get isPaddedVec3() {
+    const componentSize = gltfComponentSize(this.componentType);
+    return (
+      this.numComponents == 3 &&
+      componentSize < 4 &&
+      this.byteOffset % 4 == 0 &&
+      this.view.byteStride % 4 == 0 &&
+      this.view.byteStride >= 4 * componentSize
+    );
+  }
+
+  // Check if we can directly use the accessor's data as a float vertex attribute
+  // in the shader. If readPadding is false, the padding of 3 component byte/short
+  // types must not be read, as it would be for attributes read as a vec4 in the shader
+  canUseAsFloatVertexAttribute(readPadding: boolean) {
+    if (!this.isFloatVertexType) {
+      return false;
+    }
+    // WebGPU requires vertex buffer offsets and strides to be 4 byte aligned,
+    // which may not be the case for tightly packed byte/short data
+    if (this.byteOffset % 4 != 0 || this.byteStride % 4 != 0) {
+      return false;
+    }
+    if (this.numComponents == 3 && gltfComponentSize(this.componentType) < 4) {
+      return readPadding && this.isPaddedVec3;
+    }
+    return true;
+  }
+
+  // Replace the accessor's buffer view with a tightly packed copy of its data
+  // with the sparse values applied. Accessors without a buffer view are
+  // initialized to zero, as required by the spec, before applying the sparse
+  // values (if any). The sparse indices must have been checked to be in bounds
+  // by validateSparseIndices. The new buffer view is uploaded like any other
+  // view if the accessor is used by a primitive
+  materialize(sparse: GLTFSparse | null) {
+    const elementSize = gltfTypeSize(this.componentType, this.gltfType);
+    let dense = new Uint8Array(this.count * elementSize);
+    if (this.view) {
+      for (let i = 0; i < this.count; ++i) {
+        const offset = this.byteOffset + i * this.byteStride;
+        dense.set(
+          this.view.view.subarray(offset, offset + elementSize),
+          i * elementSize
+        );
+      }
+    }
+
+    if (sparse) {
+      for (let i = 0; i < sparse.count; ++i) {
+        const index = sparse.readIndex(i);
+        const offset = sparse.valuesByteOffset + i * elementSize;
+        dense.set(
+          sparse.valuesView.view.subarray(offset, offset + elementSize),
+          index * elementSize
+        );
+      }
+    }
+
+    this.view = tightlyPackedView(dense);
+    this.byteOffset = 0;
+  }
+
+  // Read the accessor's elements out to a tightly packed float array
+  readFloat32() {
+    const data = new DataView(
+      this.view.view.buffer,
+      this.view.view.byteOffset,
+      this.view.view.byteLength
+    );
+    const numComponents = this.numComponents;
+    const componentSize = gltfComponentSize(this.componentType);
+    let out = new Float32Array(this.count * numComponents);
+    for (let i = 0; i < this.count; ++i) {
+      const elementOffset = this.byteOffset + i * this.byteStride;
+      for (let c = 0; c < numComponents; ++c) {
+        out[i * numComponents + c] = readNormalized(
+          data,
+          elementOffset + c * componentSize,
+          this.componentType,
+          this.normalized
+        );
+      }
+    }
+    return out;
+  }
+
+  // Read the accessor's elements as unsigned integer indices
+  readIndices() {
+    const data = new DataView(
+      this.view.view.buffer,
+      this.view.view.byteOffset,
+      this.view.view.byteLength
+    );
+    let out = new Uint32Array(this.count);
+    for (let i = 0; i < this.count; ++i) {
+      out[i] = readNormalized(
+        data,
+        this.byteOffset + i * this.byteStride,
+        this.componentType,
+        false
+      );
+    }
+    return out;
+  }
+
+  // Get a tightly packed copy of the accessor containing the elements at the
+  // given indices, e.g., to replace an indexed primitive with a non-indexed one
+  gather(indices: Uint32Array) {
+    const elementSize = gltfTypeSize(this.componentType, this.gltfType);
+    let data = new Uint8Array(indices.length * elementSize);
+    for (let i = 0; i < indices.length; ++i) {
+      const offset = this.byteOffset + indices[i] * this.byteStride;
+      data.set(
+        this.view.view.subarray(offset, offset + elementSize),
+        i * elementSize
+      );
+    }
+    return new GLTFAccessor(
+      tightlyPackedView(data),
+      indices.length,
+      this.componentType,
+      this.gltfType,
+      0,
+      this.normalized
+    );
+  }
+
+  // Get a copy of the accessor converted to float32 data. This is used for
+  // data that has no WebGPU vertex format we can read as floats in the shader,
+  // like non-normalized integer positions or texcoords from KHR_mesh_quantization
+  // or unpadded 3 component bytes and shorts
+  asFloat32() {
+    if (this.componentType == GLTFComponentType.FLOAT) {
+      return this;
+    }
+    if (!this.float32Accessor) {
+      this.float32Accessor = new GLTFAccessor(
+        tightlyPackedView(this.readFloat32()),
+        this.count,
+        GLTFComponentType.FLOAT,
+        this.gltfType,
+        0
+      );
+    }
+    return this.float32Accessor;
+  }
+}
+
+// Create an index accessor holding the indices, using 16 bit indices if possible.
+// The largest value of each index type is reserved for primitive restart
+export function makeIndexAccessor(indices: Uint32Array) {
+  let maxIndex = 0;
+  for (let i = 0; i < indices.length; ++i) {
+    maxIndex = Math.max(maxIndex, indices[i]);
+  }
+  let data: Uint16Array | Uint32Array = indices;
+  let componentType = GLTFComponentType.UNSIGNED_INT;
+  if (maxIndex < 0xffff) {
+    data = new Uint16Array(indices);
+    componentType = GLTFComponentType.UNSIGNED_SHORT;
+  }
+  return new GLTFAccessor(
+    tightlyPackedView(data),
+    data.length,
+    componentType,
+    GLTFType.SCALAR,
+    0
+  );
+}
+
+// Create a buffer view over a tightly packed array of data
+export function tightlyPackedView(data: ArrayBufferView) {
+  const buffer = new GLTFBuffer(
+    data.buffer as ArrayBuffer,
+    data.byteOffset,
+    data.byteLength
+  );
+  return new GLTFBufferView(buffer, data.byteLength, 0, 0);
+}
+
+// Read a single component from the data view and convert it to a float,
+// normalizing it if the data is normalized
+function readNormalized(
+  data: DataView,
+  offset: number,
+  componentType: GLTFComponentType,
+  normalized: boolean
+) {
+  switch (componentType) {
+    case GLTFComponentType.BYTE: {
+      const v = data.getInt8(offset);
+      return normalized ? normalizeComponent(v, componentType) : v;
+    }
+    case GLTFComponentType.UNSIGNED_BYTE: {
+      const v = data.getUint8(offset);
+      return normalized ? normalizeComponent(v, componentType) : v;
+    }
+    case GLTFComponentType.SHORT: {
+      const v = data.getInt16(offset, true);
+      return normalized ? normalizeComponent(v, componentType) : v;
+    }
+    case GLTFComponentType.UNSIGNED_SHORT: {
+      const v = data.getUint16(offset, true);
+      return normalized ? normalizeComponent(v, componentType) : v;
+    }
+    case GLTFComponentType.INT:
+      return data.getInt32(offset, true);
+    case GLTFComponentType.UNSIGNED_INT:
+      return data.getUint32(offset, true);
+    case GLTFComponentType.FLOAT:
+      return data.getFloat32(offset, true);
+    default:
+      throw Error(`Unsupported accessor component type ${componentType}`);
+  }
+}
+
+// Convert a normalized integer component to a float following
+// the glTF spec's equations for decoding normalized integers
+function normalizeComponent(v: number, componentType: GLTFComponentType) {
+  switch (componentType) {
+    case GLTFComponentType.BYTE:
+      return Math.max(v / 127.0, -1.0);
+    case GLTFComponentType.UNSIGNED_BYTE:
+      return v / 255.0;
+    case GLTFComponentType.SHORT:
+      return Math.max(v / 32767.0, -1.0);
+    case GLTFComponentType.UNSIGNED_SHORT:
+      return v / 65535.0;
+    default:
+      return v;
   }
 }
@@ -0,0 +1,253 @@
+import { quat } from "gl-matrix";
+import { GLTFNode } from "./gltf_mesh";
+
+export enum GLTFInterpolation {
+  LINEAR = "LINEAR",
+  STEP = "STEP",
+  CUBICSPLINE = "CUBICSPLINE",
+}
+
+// Defines the keyframes of an animated property and how to interpolate between them
+export class GLTFAnimationSampler {
+  // Keyframe times, in seconds
+  input: Float32Array;
+  // Keyframe values. For CUBICSPLINE samplers each keyframe stores
+  // an in-tangent, value and out-tangent
+  output: Float32Array;
+  interpolation: GLTFInterpolation;
+  // Number of components in each value, for morph target weights this
+  // is the number of targets
+  numComponents: number;
+
+  constructor(
+    input: Float32Array,
+    output: Float32Array,
+    interpolation: GLTFInterpolation,
+    numComponents: number
+  ) {
+    this.input = input;
+    this.output = output;
+    this.interpolation = interpolation;
+    this.numComponents = numComponents;
+  }
+
+  get endTime() {
+    return this.input.length > 0 ? this.input[this.input.length - 1] : 0;
+  }
+
+  // Read the value of keyframe k. For cubic spline samplers, element selects
+  // the in-tangent (0), value (1) or out-tangent (2) of the keyframe
+  keyframe(k: number, element: number = 1) {
+    const n = this.numComponents;
+    let offset = k * n;
+    if (this.interpolation == GLTFInterpolation.CUBICSPLINE) {
+      offset = (k * 3 + element) * n;
+    }
+    return this.output.subarray(offset, offset + n);
+  }
+
+  // Evaluate the sampler at time t, writing the result to out. Rotations are
+  // interpolated with slerp for linear samplers and normalized for cubic splines
+  evaluate(t: number, out: Float32Array, isRotation: boolean) {
+    const times = this.input;
+    if (t <= times[0] || times.length == 1) {
+      out.set(this.keyframe(0));
+      return;
+    }
+    if (t >= times[times.length - 1]) {
+      out.set(this.keyframe(times.length - 1));
+      return;
+    }
+
+    // Find the keyframe interval containing t
+    let lo = 0;
+    let hi = times.length - 1;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (times[mid] <= t) {
+        lo = mid;
+      } else {
+        hi = mid;
+      }
+    }
+    const dt = times[hi] - times[lo];
+    const s = (t - times[lo]) / dt;
+
+    switch (this.interpolation) {
+      case GLTFInterpolation.STEP:
+        out.set(this.keyframe(lo));
+        break;
+      case GLTFInterpolation.LINEAR: {
+        const a = this.keyframe(lo);
+        const b = this.keyframe(hi);
+        if (isRotation) {
+          quat.slerp(out as quat, a as quat, b as quat, s);
+        } else {
+          for (let i = 0; i < out.length; ++i) {
+            out[i] = a[i] + s * (b[i] - a[i]);
+          }
+        }
+        break;
+      }
+      case GLTFInterpolation.CUBICSPLINE: {
+        // Hermite spline using the out-tangent of the start keyframe and in-tangent
+        // of the end keyframe, scaled by the keyframe interval, as given in the spec
+        const p0 = this.keyframe(lo, 1);
+        const m0 = this.keyframe(lo, 2);
+        const p1 = this.keyframe(hi, 1);
+        const m1 = this.keyframe(hi, 0);
+        const s2 = s * s;
+        const s3 = s2 * s;
+        for (let i = 0; i < out.length; ++i) {
+          out[i] =
+            (2 * s3 - 3 * s2 + 1) * p0[i] +
+            (s3 - 2 * s2 + s) * dt * m0[i] +
+            (-2 * s3 + 3 * s2) * p1[i] +
+            (s3 - s2) * dt * m1[i];
+        }
+        if (isRotation) {
+          quat.normalize(out as quat, out as quat);
+        }
+        break;
+      }
+    }
+  }
+}
+
+export enum GLTFAnimationPath {
+  TRANSLATION = "translation",
+  ROTATION = "rotation",
+  SCALE = "scale",
+  WEIGHTS = "weights",
+}
+
+// Connects an animation sampler to the node property it animates
+export class GLTFAnimationChannel {
+  sampler: GLTFAnimationSampler;
+  node: GLTFNode;
+  path: GLTFAnimationPath;
+
+  constructor(
+    sampler: GLTFAnimationSampler,
+    node: GLTFNode,
+    path: GLTFAnimationPath
+  ) {
+    this.sampler = sampler;
+    this.node = node;
+    this.path = path;
+
+    // Animated weights are applied to the node, overriding the mesh's weights.
+    // Nodes without a mesh have no morph targets, so the channel is skipped
+    if (this.path == GLTFAnimationPath.WEIGHTS && !this.node.weights) {
+      if (this.node.mesh) {
+        this.node.setWeights(this.node.mesh.weights);
+      } else {
+        console.warn(
+          `Skipping animated weights of node ${this.node.name}, which has no mesh`
+        );
+      }
+    }
+  }
+
+  // Evaluate the channel's sampler at time t and apply it to the node
+  apply(t: number) {
+    switch (this.path) {
+      case GLTFAnimationPath.TRANSLATION:
+        this.sampler.evaluate(t, this.node.translation as Float32Array, false);
+        break;
+      case GLTFAnimationPath.ROTATION:
+        this.sampler.evaluate(t, this.node.rotation as Float32Array, true);
+        break;
+      case GLTFAnimationPath.SCALE:
+        this.sampler.evaluate(t, this.node.scale as Float32Array, false);
+        break;
+      case GLTFAnimationPath.WEIGHTS:
+        if (this.node.weights) {
+          this.sampler.evaluate(t, this.node.weights, false);
+        }
+        break;
+    }
+  }
+}
+
+// An animation clip, which can be played, paused, looped and seeked independently
+// of the other clips in the file
+export class GLTFAnimation {
+  name: string;
+  channels: Array<GLTFAnimationChannel>;
+
+  // Current playback time in seconds
+  time: number = 0;
+  playing: boolean = false;
+  loop: boolean = true;
+  // Playback speed multiplier
+  speed: number = 1;
+
+  // Set when the clip's time changed without the nodes being updated, e.g., by seeking
+  needsApply: boolean = false;
+
+  constructor(name: string, channels: Array<GLTFAnimationChannel>) {
+    this.name = name;
+    this.channels = channels;
+  }
+
+  // The length of the clip in seconds
+  get duration() {
+    let end = 0;
+    for (let c of this.channels) {
+      end = Math.max(end, c.sampler.endTime);
+    }
+    return end;
+  }
+
+  play(loop: boolean = this.loop) {
+    this.loop = loop;
+    this.playing = true;
+    // Restart clips that have played to the end
+    if (!this.loop && this.time >= this.duration) {
+      this.time = 0;
+    }
+    this.needsApply = true;
+  }
+
+  pause() {
+    this.playing = false;
+  }
+
+  // Stop the clip and rewind it to the start
+  stop() {
+    this.playing = false;
+    this.seek(0);
+  }
+
+  // Set the playback time of the clip, the pose is applied on the next update
+  seek(time: number) {
+    this.time = Math.min(Math.max(time, 0), this.duration);
+    this.needsApply = true;
+  }
+
+  // Advance the clip by dt seconds if it's playing and apply it to the nodes.
+  // Returns true if the node transforms were changed
+  update(dt: number) {
+    if (!this.playing && !this.needsApply) {
+      return false;
+    }
+    if (this.playing) {
+      const duration = this.duration;
+      this.time += dt * this.speed;
+      if (this.time > duration) {
+        if (this.loop && duration > 0) {
+          this.time = this.time % duration;
+        } else {
+          this.time = duration;
+          this.playing = false;
+        }
+      }
+    }
+    for (let c of this.channels) {
+      c.apply(this.time);
+    }
+    this.needsApply = false;
+    return true;
+  }
+}
@@ -0,0 +1,100 @@
+import { mat4, quat, vec3 } from "gl-matrix";
+import { GLTFNode } from "./gltf_mesh";
+
+export enum GLTFCameraType {
+  PERSPECTIVE = "perspective",
+  ORTHOGRAPHIC = "orthographic",
+}
+
+// Parse the camera type, returning null for types the spec doesn't define
+export function parseGltfCameraType(type: string): GLTFCameraType | null {
+  switch (type) {
+    case "perspective":
+      return GLTFCameraType.PERSPECTIVE;
+    case "orthographic":
+      return GLTFCameraType.ORTHOGRAPHIC;
+    default:
+      return null;
+  }
+}
+
+// A camera defined in the file. Cameras are placed in the scene by the nodes
+// referencing them, and look down the node's -Z axis with +Y up
+export class GLTFCamera {
+  name: string;
+  type: GLTFCameraType;
+
+  // The vertical field of view in radians of perspective cameras, and the aspect
+  // ratio of the view. If the aspect ratio is null the viewport's aspect ratio is used
+  yfov: number = Math.PI / 4;
+  aspectRatio: number | null = null;
+  // Half the width and height of the view of orthographic cameras
+  xmag: number = 1;
+  ymag: number = 1;
+
+  znear: number = 0.01;
+  // Perspective cameras without a far plane use an infinite projection
+  zfar: number = Infinity;
+
+  constructor(name: string, type: GLTFCameraType) {
+    this.name = name;
+    this.type = type;
+  }
+
+  // Compute the camera's projection matrix for a viewport with the given aspect ratio.
+  // The projection maps depth to WebGPU's [0, 1] clip space depth range
+  projectionMatrix(viewportAspectRatio: number) {
+    if (this.type == GLTFCameraType.ORTHOGRAPHIC) {
+      return mat4.orthoZO(
+        mat4.create(),
+        -this.xmag,
+        this.xmag,
+        -this.ymag,
+        this.ymag,
+        this.znear,
+        this.zfar
+      );
+    }
+    return mat4.perspectiveZO(
+      mat4.create(),
+      this.yfov,
+      this.aspectRatio ?? viewportAspectRatio,
+      this.znear,
+      this.zfar
+    );
+  }
+}
+
+// A camera placed in the scene by a node. The camera's view follows
+// the node's world transform, so it can be moved by animations
+export class GLTFCameraInstance {
+  camera: GLTFCamera;
+  node: GLTFNode;
+
+  constructor(camera: GLTFCamera, node: GLTFNode) {
+    this.camera = camera;
+    this.node = node;
+  }
+
+  get name() {
+    return this.node.name ?? this.camera.name;
+  }
+
+  // The camera's world space position
+  get position() {
+    return mat4.getTranslation(vec3.create(), this.node.transform);
+  }
+
+  // The view matrix transforming world space to the camera's space. Any scaling
+  // in the node's transform is ignored, as required by the spec
+  get viewMatrix() {
+    const rotation = mat4.getRotation(quat.create(), this.node.transform);
+    quat.normalize(rotation, rotation);
+    const cameraToWorld = mat4.fromRotationTranslation(
+      mat4.create(),
+      rotation,
+      this.position
+    );
+    return mat4.invert(cameraToWorld, cameraToWorld);
+  }
+}
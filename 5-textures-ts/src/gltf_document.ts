@@ -0,0 +1,81 @@
+import { GLTFAccessor } from "./gltf_accessor";
+import { GLTFAnimation } from "./gltf_animation";
+import { GLTFBuffer, GLTFBufferView } from "./gltf_buffer";
+import { GLTFCamera } from "./gltf_camera";
+import { GLTFLight } from "./gltf_light";
+import { GLTFMaterial } from "./gltf_material";
+import { GLTFMesh, GLTFNode, GLTFScene } from "./gltf_mesh";
+import { GLTFSkin } from "./gltf_skin";
+import { GLTFImage, GLTFSampler, GLTFTexture } from "./gltf_texture";
+import { GLTFIssue } from "./gltf_validation";
+
+// A loaded glTF file, holding all its scenes along with the meshes, materials,
+// nodes and animations they share. One of the scenes is active and is the one
+// the application renders. The document is created on the CPU by parseGLB or
+// parseGLTF, its GPU resources are created by uploadGLTFDocument
+export class GLTFDocument {
+  scenes: Array<GLTFScene>;
+
+  buffers: Array<GLTFBuffer> = [];
+  bufferViews: Array<GLTFBufferView> = [];
+  accessors: Array<GLTFAccessor> = [];
+  images: Array<GLTFImage> = [];
+  samplers: Array<GLTFSampler> = [];
+  textures: Array<GLTFTexture> = [];
+  materials: Array<GLTFMaterial> = [];
+  meshes: Array<GLTFMesh> = [];
+  // All nodes in the file, in the order they're listed in the file
+  nodes: Array<GLTFNode> = [];
+  skins: Array<GLTFSkin> = [];
+  lights: Array<GLTFLight> = [];
+  cameras: Array<GLTFCamera> = [];
+  animations: Array<GLTFAnimation> = [];
+
+  // The warnings found when validating the file. Files with errors
+  // fail to load, so these are problems the loader worked around
+  issues: Array<GLTFIssue> = [];
+
+  // The index of the scene the file specifies to show when loaded, or null if the
+  // file doesn't specify one
+  defaultSceneIndex: number | null;
+  activeSceneIndex: number | null;
+
+  // Files without any scenes only hold objects for the application to use,
+  // and there's nothing to render. An empty scene is used in that case so that
+  // the application doesn't need to handle it separately
+  emptyScene = new GLTFScene("empty", [], []);
+
+  constructor(scenes: Array<GLTFScene>, defaultSceneIndex: number | null) {
+    this.scenes = scenes;
+    this.defaultSceneIndex = defaultSceneIndex;
+
+    // When the file doesn't specify a default scene it's up to the application
+    // which scene to show, and we pick the first one
+    this.activeSceneIndex = defaultSceneIndex ?? (scenes.length > 0 ? 0 : null);
+  }
+
+  // The active scene, or an empty scene if the file doesn't have any scenes
+  get scene() {
+    if (this.activeSceneIndex === null) {
+      return this.emptyScene;
+    }
+    return this.scenes[this.activeSceneIndex];
+  }
+
+  // Set the active scene by its index or name and return it. Animations
+  // playing in the previously active scene are stopped
+  setActiveScene(scene: number | string) {
+    const index =
+      typeof scene === "number"
+        ? scene
+        : this.scenes.findIndex((s) => s.name == scene);
+    if (index < 0 || index >= this.scenes.length) {
+      throw Error(`Scene ${scene} does not exist`);
+    }
+    for (let a of this.scene.animations) {
+      a.stop();
+    }
+    this.activeSceneIndex = index;
+    return this.scene;
+  }
+}
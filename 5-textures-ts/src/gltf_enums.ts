@@ -91,28 +91,32 @@ export function gltfTypeNumComponents(type: GLTFType) {
   }
 }
 
-// Note: only returns non-normalized type names,
-// so byte/ubyte = sint8/uint8, not snorm8/unorm8, same for ushort
+// Returns the WebGPU vertex format for the accessor type. Normalized byte and short
+// types map to the unorm/snorm formats, which are read as floats in the shader.
+// WebGPU has no 3 component 8 or 16 bit formats, so these are returned as the 4 component
+// format, which is only valid to use if the data is padded to 4 components
+// (see GLTFAccessor.isPaddedVec3)
 export function gltfVertexType(
   componentType: GLTFComponentType,
-  type: GLTFType
+  type: GLTFType,
+  normalized: boolean = false
 ) {
   let typeStr = null;
   switch (componentType) {
     case GLTFComponentType.BYTE:
-      typeStr = "sint8";
+      typeStr = normalized ? "snorm8" : "sint8";
       break;
     case GLTFComponentType.UNSIGNED_BYTE:
-      typeStr = "uint8";
+      typeStr = normalized ? "unorm8" : "uint8";
       break;
     case GLTFComponentType.SHORT:
-      typeStr = "sint16";
+      typeStr = normalized ? "snorm16" : "sint16";
       break;
     case GLTFComponentType.UNSIGNED_SHORT:
-      typeStr = "uint16";
+      typeStr = normalized ? "unorm16" : "uint16";
       break;
     case GLTFComponentType.INT:
-      typeStr = "int32";
+      typeStr = "sint32";
       break;
     case GLTFComponentType.UNSIGNED_INT:
       typeStr = "uint32";
@@ -130,6 +134,9 @@ export function gltfVertexType(
     case 2:
       return typeStr + "x2";
     case 3:
+      if (gltfComponentSize(componentType) < 4) {
+        return typeStr + "x4";
+      }
       return typeStr + "x3";
     case 4:
       return typeStr + "x4";
@@ -138,37 +145,27 @@ export function gltfVertexType(
   }
 }
 
-export function gltfTypeSize(componentType: GLTFComponentType, type: GLTFType) {
-  let componentSize = 0;
+export function gltfComponentSize(componentType: GLTFComponentType) {
   switch (componentType) {
     case GLTFComponentType.BYTE:
-      componentSize = 1;
-      break;
     case GLTFComponentType.UNSIGNED_BYTE:
-      componentSize = 1;
-      break;
+      return 1;
     case GLTFComponentType.SHORT:
-      componentSize = 2;
-      break;
     case GLTFComponentType.UNSIGNED_SHORT:
-      componentSize = 2;
-      break;
+      return 2;
     case GLTFComponentType.INT:
-      componentSize = 4;
-      break;
     case GLTFComponentType.UNSIGNED_INT:
-      componentSize = 4;
-      break;
     case GLTFComponentType.FLOAT:
-      componentSize = 4;
-      break;
+      return 4;
     case GLTFComponentType.DOUBLE:
-      componentSize = 8;
-      break;
+      return 8;
     default:
       throw Error("Unrecognized GLTF Component Type?");
   }
-  return gltfTypeNumComponents(type) * componentSize;
+}
+
+export function gltfTypeSize(componentType: GLTFComponentType, type: GLTFType) {
+  return gltfTypeNumComponents(type) * gltfComponentSize(componentType);
 }
 
 export function gltfTextureFilterMode(filter: GLTFTextureFilter) {
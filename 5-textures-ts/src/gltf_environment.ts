@@ -0,0 +1,348 @@
+import environmentShaderCode from "./gltf_environment.wgsl";
+import { HDRImage } from "./import_hdr";
+import { getEnvironmentBindGroupLayout } from "./gltf_pipeline_cache";
+
+// The size of the cubemap the equirectangular environment map is resampled to
+const environmentCubeSize = 256;
+// The size and number of mip levels in the prefiltered specular map. Each mip
+// level is filtered for a roughness of mip / (specularMipLevels - 1)
+const specularMapSize = 128;
+const specularMapMipLevels = 6;
+const irradianceMapSize = 32;
+const brdfLUTSize = 128;
+
+const specularSamples = 128;
+const irradianceSamples = 256;
+const brdfLUTSamples = 512;
+
+// The constant radiance of the default environment used when no environment map is
+// loaded, which provides a small amount of ambient light
+const defaultEnvironmentRadiance = 0.03;
+
+// An environment map prefiltered for image based lighting, following the split sum
+// approximation. The environment's bind group is bound at group 2 when rendering
+// and provides the prefiltered specular map, irradiance map and BRDF lookup table
+export class GLTFEnvironment {
+  // Rotation of the environment about the Y axis, in radians
+  rotation: number = 0;
+  // Scale applied to the environment's radiance
+  intensity: number = 1;
+
+  specularMap: GPUTexture;
+  irradianceMap: GPUTexture;
+
+  paramsBuf: GPUBuffer;
+  bindGroup: GPUBindGroup;
+
+  constructor(
+    device: GPUDevice,
+    specularMap: GPUTexture,
+    irradianceMap: GPUTexture
+  ) {
+    this.specularMap = specularMap;
+    this.irradianceMap = irradianceMap;
+
+    this.paramsBuf = device.createBuffer({
+      size: 4 * 4,
+      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+    });
+    this.upload(device);
+
+    const sampler = device.createSampler({
+      magFilter: "linear",
+      minFilter: "linear",
+      mipmapFilter: "linear",
+    });
+    this.bindGroup = device.createBindGroup({
+      layout: getEnvironmentBindGroupLayout(device),
+      entries: [
+        { binding: 0, resource: { buffer: this.paramsBuf } },
+        { binding: 1, resource: sampler },
+        {
+          binding: 2,
+          resource: this.specularMap.createView({ dimension: "cube" }),
+        },
+        {
+          binding: 3,
+          resource: this.irradianceMap.createView({ dimension: "cube" }),
+        },
+        { binding: 4, resource: getBRDFLUT(device).createView() },
+      ],
+    });
+  }
+
+  // Upload the environment's rotation and intensity, this must be
+  // called after changing them
+  upload(device: GPUDevice) {
+    device.queue.writeBuffer(
+      this.paramsBuf,
+      0,
+      new Float32Array([
+        Math.cos(this.rotation),
+        Math.sin(this.rotation),
+        this.intensity,
+        this.specularMap.mipLevelCount - 1,
+      ])
+    );
+  }
+
+  // Release the environment's GPU resources. The BRDF lookup table is shared
+  // by all environments on the device, so it's kept
+  destroy() {
+    this.specularMap.destroy();
+    this.irradianceMap.destroy();
+    this.paramsBuf.destroy();
+  }
+}
+
+// Create an environment from an equirectangular HDR image. The image is resampled
+// to a cubemap, which is then prefiltered on the GPU to produce the specular and
+// irradiance maps
+export function createEnvironment(device: GPUDevice, hdr: HDRImage) {
+  const equirect = device.createTexture({
+    size: [hdr.width, hdr.height, 1],
+    format: "rgba16float",
+    usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST,
+  });
+  device.queue.writeTexture(
+    { texture: equirect },
+    float32ToFloat16(hdr.data),
+    { bytesPerRow: hdr.width * 8 },
+    [hdr.width, hdr.height, 1]
+  );
+
+  const envCube = createCubemap(
+    device,
+    environmentCubeSize,
+    Math.log2(environmentCubeSize) + 1
+  );
+  const specularMap = createCubemap(
+    device,
+    specularMapSize,
+    specularMapMipLevels
+  );
+  const irradianceMap = createCubemap(device, irradianceMapSize, 1);
+
+  const sampler = device.createSampler({
+    magFilter: "linear",
+    minFilter: "linear",
+    mipmapFilter: "linear",
+  });
+  const envCubeView = envCube.createView({ dimension: "cube" });
+  // The uniform buffers holding the parameters of each pass, which
+  // are released once the passes are submitted
+  let paramsBufs: GPUBuffer[] = [];
+  const makeParams = (roughness: number, numSamples: number) => {
+    let buf = device.createBuffer({
+      size: 4 * 4,
+      usage: GPUBufferUsage.UNIFORM,
+      mappedAtCreation: true,
+    });
+    const mapping = buf.getMappedRange();
+    new Float32Array(mapping, 0, 2).set([roughness, environmentCubeSize]);
+    new Uint32Array(mapping, 8, 1)[0] = numSamples;
+    buf.unmap();
+    paramsBufs.push(buf);
+    return buf;
+  };
+
+  const commandEncoder = device.createCommandEncoder();
+  const pass = commandEncoder.beginComputePass();
+
+  // Resample the equirectangular image to the top level of the cubemap
+  runCubemapPass(device, pass, "equirect_to_cube", envCube, 0, [
+    { binding: 0, resource: equirect.createView() },
+    { binding: 1, resource: sampler },
+  ]);
+
+  // Build the cubemap's mip chain, which is sampled when prefiltering
+  // to avoid aliasing from undersampling the environment
+  for (let level = 1; level < envCube.mipLevelCount; ++level) {
+    runCubemapPass(device, pass, "downsample_cube", envCube, level, [
+      {
+        binding: 3,
+        resource: envCube.createView({
+          dimension: "2d-array",
+          baseMipLevel: level - 1,
+          mipLevelCount: 1,
+        }),
+      },
+    ]);
+  }
+
+  for (let level = 0; level < specularMap.mipLevelCount; ++level) {
+    const roughness = level / (specularMap.mipLevelCount - 1);
+    runCubemapPass(device, pass, "prefilter_specular", specularMap, level, [
+      { binding: 1, resource: sampler },
+      { binding: 4, resource: envCubeView },
+      {
+        binding: 5,
+        resource: { buffer: makeParams(roughness, specularSamples) },
+      },
+    ]);
+  }
+
+  runCubemapPass(device, pass, "compute_irradiance", irradianceMap, 0, [
+    { binding: 1, resource: sampler },
+    { binding: 4, resource: envCubeView },
+    { binding: 5, resource: { buffer: makeParams(1, irradianceSamples) } },
+  ]);
+
+  pass.end();
+  device.queue.submit([commandEncoder.finish()]);
+
+  equirect.destroy();
+  envCube.destroy();
+  for (let buf of paramsBufs) {
+    buf.destroy();
+  }
+
+  return new GLTFEnvironment(device, specularMap, irradianceMap);
+}
+
+// Create an environment with a constant radiance, used when no environment map
+// is loaded. The maps are a single texel, as no filtering is needed
+export function createDefaultEnvironment(device: GPUDevice) {
+  const makeMap = () => {
+    const map = device.createTexture({
+      size: [1, 1, 6],
+      format: "rgba16float",
+      usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST,
+    });
+    const radiance = new Float32Array(6 * 4).fill(defaultEnvironmentRadiance);
+    device.queue.writeTexture(
+      { texture: map },
+      float32ToFloat16(radiance),
+      { bytesPerRow: 8, rowsPerImage: 1 },
+      [1, 1, 6]
+    );
+    return map;
+  };
+  return new GLTFEnvironment(device, makeMap(), makeMap());
+}
+
+function createCubemap(device: GPUDevice, size: number, mipLevels: number) {
+  return device.createTexture({
+    size: [size, size, 6],
+    format: "rgba16float",
+    mipLevelCount: mipLevels,
+    usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.STORAGE_BINDING,
+  });
+}
+
+// Run one of the compute shaders in gltf_environment.wgsl that writes a mip
+// level of a cubemap, with one invocation per texel of each face
+function runCubemapPass(
+  device: GPUDevice,
+  pass: GPUComputePassEncoder,
+  entryPoint: string,
+  output: GPUTexture,
+  level: number,
+  entries: GPUBindGroupEntry[]
+) {
+  const pipeline = getEnvironmentPipeline(device, entryPoint);
+  const outputView = output.createView({
+    dimension: "2d-array",
+    baseMipLevel: level,
+    mipLevelCount: 1,
+  });
+  const bindGroup = device.createBindGroup({
+    layout: pipeline.getBindGroupLayout(0),
+    entries: [...entries, { binding: 2, resource: outputView }],
+  });
+  const size = Math.max(output.width >> level, 1);
+  pass.setPipeline(pipeline);
+  pass.setBindGroup(0, bindGroup);
+  pass.dispatchWorkgroups(Math.ceil(size / 8), Math.ceil(size / 8), 6);
+}
+
+// The compute pipelines for each entry point in gltf_environment.wgsl
+const environmentPipelines = new WeakMap<
+  GPUDevice,
+  Map<string, GPUComputePipeline>
+>();
+
+function getEnvironmentPipeline(device: GPUDevice, entryPoint: string) {
+  let pipelines = environmentPipelines.get(device);
+  if (!pipelines) {
+    pipelines = new Map();
+    environmentPipelines.set(device, pipelines);
+  }
+  let pipeline = pipelines.get(entryPoint);
+  if (!pipeline) {
+    pipeline = device.createComputePipeline({
+      layout: "auto",
+      compute: {
+        module: device.createShaderModule({ code: environmentShaderCode }),
+        entryPoint: entryPoint,
+      },
+    });
+    pipelines.set(entryPoint, pipeline);
+  }
+  return pipeline;
+}
+
+// The split sum BRDF lookup table only depends on the BRDF, so
+// it's computed once and shared by all environments on the device
+const brdfLUTs = new WeakMap<GPUDevice, GPUTexture>();
+
+function getBRDFLUT(device: GPUDevice) {
+  let lut = brdfLUTs.get(device);
+  if (lut) {
+    return lut;
+  }
+  lut = device.createTexture({
+    size: [brdfLUTSize, brdfLUTSize, 1],
+    format: "rgba16float",
+    usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.STORAGE_BINDING,
+  });
+
+  let params = device.createBuffer({
+    size: 4 * 4,
+    usage: GPUBufferUsage.UNIFORM,
+    mappedAtCreation: true,
+  });
+  new Uint32Array(params.getMappedRange(), 8, 1)[0] = brdfLUTSamples;
+  params.unmap();
+
+  const pipeline = getEnvironmentPipeline(device, "compute_brdf_lut");
+  const bindGroup = device.createBindGroup({
+    layout: pipeline.getBindGroupLayout(0),
+    entries: [
+      { binding: 5, resource: { buffer: params } },
+      { binding: 6, resource: lut.createView() },
+    ],
+  });
+  const commandEncoder = device.createCommandEncoder();
+  const pass = commandEncoder.beginComputePass();
+  pass.setPipeline(pipeline);
+  pass.setBindGroup(0, bindGroup);
+  pass.dispatchWorkgroups(brdfLUTSize / 8, brdfLUTSize / 8, 1);
+  pass.end();
+  device.queue.submit([commandEncoder.finish()]);
+  params.destroy();
+
+  brdfLUTs.set(device, lut);
+  return lut;
+}
+
+// Convert float32 values to float16 for uploading to 16 bit float textures.
+// Values too large for a float16 are clamped to infinity, and values
+// too small for a normalized float16 are flushed to zero
+function float32ToFloat16(data: Float32Array) {
+  const bits = new Uint32Array(data.buffer, data.byteOffset, data.length);
+  let out = new Uint16Array(data.length);
+  for (let i = 0; i < data.length; ++i) {
+    const x = bits[i];
+    const sign = (x >>> 16) & 0x8000;
+    const exponent = ((x >>> 23) & 0xff) - 127 + 15;
+    if (exponent >= 0x1f) {
+      out[i] = sign | 0x7c00;
+    } else if (exponent <= 0) {
+      out[i] = sign;
+    } else {
+      out[i] = sign | (exponent << 10) | ((x >>> 13) & 0x3ff);
+    }
+  }
+  return out;
+}
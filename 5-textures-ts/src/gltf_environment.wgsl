@@ -0,0 +1,239 @@
+alias float4 = vec4<f32>;
+alias float3 = vec3<f32>;
+alias float2 = vec2<f32>;
+
+const PI = 3.14159265359;
+
+// Parameters for prefiltering a level of the specular or irradiance map
+struct PrefilterParams {
+    // The roughness of the specular map level being filtered
+    roughness: f32,
+    // The size of the environment cubemap's top mip level
+    env_size: f32,
+    num_samples: u32,
+};
+
+@group(0) @binding(0)
+var equirect_texture: texture_2d<f32>;
+
+@group(0) @binding(1)
+var env_sampler: sampler;
+
+// The cubemap level being written, viewed as an array of its 6 faces
+@group(0) @binding(2)
+var output_cube: texture_storage_2d_array<rgba16float, write>;
+
+// The previous level of the cubemap when downsampling
+@group(0) @binding(3)
+var input_cube: texture_2d_array<f32>;
+
+@group(0) @binding(4)
+var env_cube: texture_cube<f32>;
+
+@group(0) @binding(5)
+var<uniform> params: PrefilterParams;
+
+@group(0) @binding(6)
+var output_lut: texture_storage_2d<rgba16float, write>;
+
+// Compute the direction through texel id of the cubemap face, following
+// the WebGPU cubemap face order and orientation
+fn cube_direction(id: vec3<u32>, size: u32) -> float3 {
+    let uv = (float2(id.xy) + 0.5) / f32(size) * 2.0 - 1.0;
+    switch (id.z) {
+        case 0u: { return normalize(float3(1.0, -uv.y, -uv.x)); }
+        case 1u: { return normalize(float3(-1.0, -uv.y, uv.x)); }
+        case 2u: { return normalize(float3(uv.x, 1.0, uv.y)); }
+        case 3u: { return normalize(float3(uv.x, -1.0, -uv.y)); }
+        case 4u: { return normalize(float3(uv.x, -uv.y, 1.0)); }
+        default: { return normalize(float3(-uv.x, -uv.y, -1.0)); }
+    }
+}
+
+// Build an orthonormal basis around the normal n, returning the
+// tangent space to world space transform
+fn tangent_basis(n: float3) -> mat3x3<f32> {
+    var up = float3(0.0, 1.0, 0.0);
+    if (abs(n.y) > 0.999) {
+        up = float3(1.0, 0.0, 0.0);
+    }
+    let t = normalize(cross(up, n));
+    let b = cross(n, t);
+    return mat3x3<f32>(t, b, n);
+}
+
+fn hammersley(i: u32, n: u32) -> float2 {
+    return float2(f32(i) / f32(n), f32(reverseBits(i)) * 2.3283064365386963e-10);
+}
+
+// Sample a half vector from the GGX distribution, in tangent space
+fn importance_sample_ggx(xi: float2, alpha: f32) -> float3 {
+    let phi = 2.0 * PI * xi.x;
+    let cos_theta = sqrt((1.0 - xi.y) / (1.0 + (alpha * alpha - 1.0) * xi.y));
+    let sin_theta = sqrt(1.0 - cos_theta * cos_theta);
+    return float3(sin_theta * cos(phi), sin_theta * sin(phi), cos_theta);
+}
+
+fn d_ggx(n_dot_h: f32, alpha: f32) -> f32 {
+    let alpha2 = alpha * alpha;
+    let d = n_dot_h * n_dot_h * (alpha2 - 1.0) + 1.0;
+    return alpha2 / (PI * d * d);
+}
+
+// The Smith visibility term from the glTF spec, matching the BRDF in gltf_prim.wgsl
+fn v_smith_ggx(n_dot_v: f32, n_dot_l: f32, alpha: f32) -> f32 {
+    let alpha2 = alpha * alpha;
+    let vis_l = n_dot_l + sqrt(alpha2 + (1.0 - alpha2) * n_dot_l * n_dot_l);
+    let vis_v = n_dot_v + sqrt(alpha2 + (1.0 - alpha2) * n_dot_v * n_dot_v);
+    return 1.0 / (vis_l * vis_v);
+}
+
+// Pick the environment mip level to sample for a sample direction with the given pdf,
+// so that each sample covers the solid angle it represents (filtered importance sampling)
+fn sample_lod(pdf: f32) -> f32 {
+    let sample_solid_angle = 1.0 / (f32(params.num_samples) * pdf + 0.0001);
+    let texel_solid_angle = 4.0 * PI / (6.0 * params.env_size * params.env_size);
+    return max(0.5 * log2(sample_solid_angle / texel_solid_angle) + 1.0, 0.0);
+}
+
+// Copy the equirectangular environment map to the top level of the environment cubemap
+@compute @workgroup_size(8, 8, 1)
+fn equirect_to_cube(@builtin(global_invocation_id) id: vec3<u32>) {
+    let size = textureDimensions(output_cube).x;
+    if (id.x >= size || id.y >= size) {
+        return;
+    }
+    let dir = cube_direction(id, size);
+    let uv = float2(atan2(dir.z, dir.x) / (2.0 * PI) + 0.5, acos(clamp(dir.y, -1.0, 1.0)) / PI);
+    let color = textureSampleLevel(equirect_texture, env_sampler, uv, 0.0);
+    textureStore(output_cube, id.xy, id.z, color);
+}
+
+// Downsample a level of the cubemap to produce the next mip level
+@compute @workgroup_size(8, 8, 1)
+fn downsample_cube(@builtin(global_invocation_id) id: vec3<u32>) {
+    let size = textureDimensions(output_cube).x;
+    if (id.x >= size || id.y >= size) {
+        return;
+    }
+    let p = id.xy * 2u;
+    let color = textureLoad(input_cube, p, id.z, 0)
+        + textureLoad(input_cube, p + vec2<u32>(1u, 0u), id.z, 0)
+        + textureLoad(input_cube, p + vec2<u32>(0u, 1u), id.z, 0)
+        + textureLoad(input_cube, p + vec2<u32>(1u, 1u), id.z, 0);
+    textureStore(output_cube, id.xy, id.z, color * 0.25);
+}
+
+// Prefilter a level of the specular map by convolving the environment with
+// the GGX distribution, using the split sum approximation's assumption that n = v
+@compute @workgroup_size(8, 8, 1)
+fn prefilter_specular(@builtin(global_invocation_id) id: vec3<u32>) {
+    let size = textureDimensions(output_cube).x;
+    if (id.x >= size || id.y >= size) {
+        return;
+    }
+    let n = cube_direction(id, size);
+    let basis = tangent_basis(n);
+    let alpha = params.roughness * params.roughness;
+    if (alpha == 0.0) {
+        textureStore(output_cube, id.xy, id.z, textureSampleLevel(env_cube, env_sampler, n, 0.0));
+        return;
+    }
+
+    var color = float3(0.0);
+    var weight = 0.0;
+    for (var i = 0u; i < params.num_samples; i++) {
+        let h = basis * importance_sample_ggx(hammersley(i, params.num_samples), alpha);
+        let l = reflect(-n, h);
+        let n_dot_l = dot(n, l);
+        if (n_dot_l > 0.0) {
+            // With n = v the pdf of the sampled direction is D(h) / 4
+            let pdf = d_ggx(clamp(dot(n, h), 0.0, 1.0), alpha) / 4.0;
+            color += textureSampleLevel(env_cube, env_sampler, l, sample_lod(pdf)).rgb * n_dot_l;
+            weight += n_dot_l;
+        }
+    }
+    textureStore(output_cube, id.xy, id.z, float4(color / max(weight, 0.0001), 1.0));
+}
+
+// Compute the irradiance map by convolving the environment with a cosine lobe. The
+// stored value is the irradiance divided by pi, so that the diffuse reflected
+// radiance is the irradiance map value times the diffuse color
+@compute @workgroup_size(8, 8, 1)
+fn compute_irradiance(@builtin(global_invocation_id) id: vec3<u32>) {
+    let size = textureDimensions(output_cube).x;
+    if (id.x >= size || id.y >= size) {
+        return;
+    }
+    let n = cube_direction(id, size);
+    let basis = tangent_basis(n);
+
+    var color = float3(0.0);
+    for (var i = 0u; i < params.num_samples; i++) {
+        // Cosine weighted hemisphere sampling, which has a pdf of cos(theta) / pi
+        let xi = hammersley(i, params.num_samples);
+        let phi = 2.0 * PI * xi.x;
+        let cos_theta = sqrt(1.0 - xi.y);
+        let sin_theta = sqrt(xi.y);
+        let l = basis * float3(sin_theta * cos(phi), sin_theta * sin(phi), cos_theta);
+        let lod = sample_lod(cos_theta / PI);
+        color += textureSampleLevel(env_cube, env_sampler, l, lod).rgb;
+    }
+    textureStore(output_cube, id.xy, id.z, float4(color / f32(params.num_samples), 1.0));
+}
+
+// The Charlie sheen distribution with the Neubelt visibility term, matching
+// the sheen BRDF in gltf_prim.wgsl
+fn sheen_dv(n_dot_l: f32, n_dot_v: f32, n_dot_h: f32, alpha: f32) -> f32 {
+    let inv_alpha = 1.0 / alpha;
+    let sin2_h = max(1.0 - n_dot_h * n_dot_h, 0.0);
+    let d = (2.0 + inv_alpha) * pow(sin2_h, inv_alpha * 0.5) / (2.0 * PI);
+    return d / (4.0 * (n_dot_l + n_dot_v - n_dot_l * n_dot_v));
+}
+
+// Compute the split sum BRDF lookup table, indexed by n dot v and roughness. The
+// red and green channels store the scale and bias applied to F0, and the blue
+// channel stores the directional albedo of the sheen BRDF
+@compute @workgroup_size(8, 8, 1)
+fn compute_brdf_lut(@builtin(global_invocation_id) id: vec3<u32>) {
+    let size = textureDimensions(output_lut);
+    if (id.x >= size.x || id.y >= size.y) {
+        return;
+    }
+    let n_dot_v = max((f32(id.x) + 0.5) / f32(size.x), 0.0001);
+    let roughness = (f32(id.y) + 0.5) / f32(size.y);
+    let alpha = roughness * roughness;
+    // The sheen roughness is clamped as in the sheen BRDF of gltf_prim.wgsl
+    let sheen_alpha = max(roughness, 0.07) * max(roughness, 0.07);
+    let v = float3(sqrt(1.0 - n_dot_v * n_dot_v), 0.0, n_dot_v);
+
+    var a = 0.0;
+    var b = 0.0;
+    var sheen = 0.0;
+    for (var i = 0u; i < params.num_samples; i++) {
+        let h = importance_sample_ggx(hammersley(i, params.num_samples), alpha);
+        let l = reflect(-v, h);
+        let n_dot_l = clamp(l.z, 0.0, 1.0);
+        let n_dot_h = clamp(h.z, 0.0, 1.0);
+        let v_dot_h = clamp(dot(v, h), 0.0, 1.0);
+        if (n_dot_l > 0.0) {
+            // The BRDF times n dot l divided by the pdf of the sampled direction
+            let v_pdf = v_smith_ggx(n_dot_v, n_dot_l, alpha) * v_dot_h * n_dot_l / n_dot_h;
+            let fc = pow(1.0 - v_dot_h, 5.0);
+            a += (1.0 - fc) * v_pdf;
+            b += fc * v_pdf;
+        }
+
+        // The sheen lobe is sampled uniformly over the hemisphere, which
+        // has a pdf of 1 / (2 pi)
+        let xi = hammersley(i, params.num_samples);
+        let phi = 2.0 * PI * xi.x;
+        let sin_theta = sqrt(1.0 - xi.y * xi.y);
+        let sheen_l = float3(sin_theta * cos(phi), sin_theta * sin(phi), xi.y);
+        let sheen_h = normalize(sheen_l + v);
+        sheen += sheen_dv(sheen_l.z, n_dot_v, sheen_h.z, sheen_alpha) * sheen_l.z * 2.0 * PI;
+    }
+    let scale = 4.0 / f32(params.num_samples);
+    let sheen_albedo = sheen / f32(params.num_samples);
+    textureStore(output_lut, id.xy, float4(a * scale, b * scale, sheen_albedo, 1.0));
+}
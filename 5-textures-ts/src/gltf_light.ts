@@ -0,0 +1,113 @@
+import { vec3 } from "gl-matrix";
+import { GLTFNode } from "./gltf_mesh";
+
+// The light types of KHR_lights_punctual. The values must match the
+// light types in gltf_prim.wgsl
+export enum GLTFLightType {
+  DIRECTIONAL = 0,
+  POINT = 1,
+  SPOT = 2,
+}
+
+// Parse the light type, returning null for types the spec doesn't define
+export function parseGltfLightType(type: string): GLTFLightType | null {
+  switch (type) {
+    case "directional":
+      return GLTFLightType.DIRECTIONAL;
+    case "point":
+      return GLTFLightType.POINT;
+    case "spot":
+      return GLTFLightType.SPOT;
+    default:
+      return null;
+  }
+}
+
+// A punctual light from KHR_lights_punctual. Lights are placed in the scene by
+// the nodes referencing them, and shine down the node's -Z axis
+export class GLTFLight {
+  name: string;
+  type: GLTFLightType;
+  color: vec3 = [1, 1, 1];
+  // Luminous intensity in candela for point and spot lights,
+  // or illuminance in lux for directional lights
+  intensity: number = 1;
+  // The distance at which the light's intensity reaches zero,
+  // 0 if the light has no range limit
+  range: number = 0;
+  innerConeAngle: number = 0;
+  outerConeAngle: number = Math.PI / 4;
+
+  constructor(name: string, type: GLTFLightType) {
+    this.name = name;
+    this.type = type;
+  }
+}
+
+// The size of the Light struct in gltf_prim.wgsl in floats
+const lightStructSize = 16;
+
+// Packs the lights of the scene's nodes into a storage buffer read by the fragment
+// shader, which is bound in each node's bind group. The buffer starts with a header
+// containing the number of lights, followed by the world space position, direction
+// and parameters of each light. Scenes without lights are lit by a headlight
+// at the camera in the shader
+export class GLTFLightsBuffer {
+  lightNodes: Array<GLTFNode>;
+
+  lightsBuf: GPUBuffer = null;
+
+  constructor(lightNodes: Array<GLTFNode>) {
+    this.lightNodes = lightNodes;
+  }
+
+  // Create the lights buffer the first time it's called, and upload the lights
+  create(device: GPUDevice) {
+    if (!this.lightsBuf) {
+      this.lightsBuf = device.createBuffer({
+        // Storage buffer bindings can't be empty, so we allocate at least one light
+        size: 16 + Math.max(this.lightNodes.length, 1) * lightStructSize * 4,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+      });
+    }
+    this.upload(device);
+  }
+
+  // Upload the lights using the current world transforms of their nodes
+  upload(device: GPUDevice) {
+    let data = new ArrayBuffer(
+      16 + this.lightNodes.length * lightStructSize * 4
+    );
+    new Uint32Array(data, 0, 1)[0] = this.lightNodes.length;
+    for (let i = 0; i < this.lightNodes.length; ++i) {
+      const node = this.lightNodes[i];
+      const light = node.light;
+
+      let position = vec3.transformMat4(
+        vec3.create(),
+        [0, 0, 0],
+        node.transform
+      );
+      // Directions are transformed ignoring the translation of the node
+      let direction = vec3.create();
+      vec3.sub(
+        direction,
+        vec3.transformMat4(vec3.create(), [0, 0, -1], node.transform),
+        position
+      );
+      vec3.normalize(direction, direction);
+
+      const offset = 16 + i * lightStructSize * 4;
+      let params = new Float32Array(data, offset, lightStructSize);
+      params.set(position, 0);
+      params[3] = light.range;
+      params.set(direction, 4);
+      new Uint32Array(data, offset + 7 * 4, 1)[0] = light.type;
+      params.set(light.color, 8);
+      params[11] = light.intensity;
+      params[12] = Math.cos(light.innerConeAngle);
+      params[13] = Math.cos(light.outerConeAngle);
+    }
+    device.queue.writeBuffer(this.lightsBuf, 0, data);
+  }
+}
@@ -1,17 +1,94 @@
-import { vec4 } from "gl-matrix";
-import { GLTFTexture, ImageUsage } from "./gltf_texture";
+import { vec3, vec4 } from "gl-matrix";
+import { GLTFTextureInfo, ImageUsage } from "./gltf_texture";
+import { getRenderPipelineCache } from "./gltf_pipeline_cache";
+import { ShaderFeature } from "./gltf_shader_features";
+
+// How the alpha value of the base color is interpreted
+export enum GLTFAlphaMode {
+  // Alpha is ignored and the material is fully opaque
+  OPAQUE = "OPAQUE",
+  // The material is opaque where alpha is at least the alpha
+  // cutoff, and fully transparent elsewhere
+  MASK = "MASK",
+  // Alpha blended with the content behind the material
+  BLEND = "BLEND",
+}
+
+// The alpha modes as passed to gltf_prim.wgsl
+const shaderAlphaModes = {
+  [GLTFAlphaMode.OPAQUE]: 0,
+  [GLTFAlphaMode.MASK]: 1,
+  [GLTFAlphaMode.BLEND]: 2,
+};
+
+// The number of textures a material can have, in the order
+// of their bindings and texture transforms in gltf_prim.wgsl
+const numMaterialTextures = 12;
+
+// The size of the MaterialParams struct in gltf_prim.wgsl. The factors take 25
+// floats, padded to 28, followed by the texture transform of each texture
+const materialParamsSize = (28 + numMaterialTextures * 8) * 4;
 
 export class GLTFMaterial {
   baseColorFactor: vec4 = [1, 1, 1, 1];
-  baseColorTexture: GLTFTexture | null = null;
-
-  // TODO later: multiple texture coords support
+  baseColorTexture: GLTFTextureInfo | null = null;
 
   metallicFactor: number = 1;
   roughnessFactor: number = 1;
-  metallicRoughnessTexture: GLTFTexture | null = null;
+  metallicRoughnessTexture: GLTFTextureInfo | null = null;
+
+  // Tangent space normal map, with the scale applied to its X and Y components
+  normalTexture: GLTFTextureInfo | null = null;
+  normalScale: number = 1;
+
+  // Ambient occlusion is read from the red channel of the occlusion texture
+  occlusionTexture: GLTFTextureInfo | null = null;
+  occlusionStrength: number = 1;
+
+  emissiveFactor: vec3 = [0, 0, 0];
+  emissiveTexture: GLTFTextureInfo | null = null;
+  // Scales the emissive factor, from KHR_materials_emissive_strength
+  emissiveStrength: number = 1;
+
+  // The index of refraction from KHR_materials_ior, which
+  // determines the reflectance of dielectrics
+  ior: number = 1.5;
+
+  // The strength and color of the dielectric specular reflection from
+  // KHR_materials_specular. The strength is read from the alpha channel
+  // of the specular texture
+  specularFactor: number = 1;
+  specularTexture: GLTFTextureInfo | null = null;
+  specularColorFactor: vec3 = [1, 1, 1];
+  specularColorTexture: GLTFTextureInfo | null = null;
+
+  // The clear coat layer from KHR_materials_clearcoat. The strength is read from
+  // the red channel of the clearcoat texture, and the roughness from the green
+  // channel of the clearcoat roughness texture
+  hasClearcoat: boolean = false;
+  clearcoatFactor: number = 0;
+  clearcoatTexture: GLTFTextureInfo | null = null;
+  clearcoatRoughnessFactor: number = 0;
+  clearcoatRoughnessTexture: GLTFTextureInfo | null = null;
+  clearcoatNormalTexture: GLTFTextureInfo | null = null;
+  clearcoatNormalScale: number = 1;
+
+  // The sheen layer from KHR_materials_sheen. The roughness is read
+  // from the alpha channel of the sheen roughness texture
+  hasSheen: boolean = false;
+  sheenColorFactor: vec3 = [0, 0, 0];
+  sheenColorTexture: GLTFTextureInfo | null = null;
+  sheenRoughnessFactor: number = 0;
+  sheenRoughnessTexture: GLTFTextureInfo | null = null;
 
-  // TODO: normal, occlusion, emissive textures
+  // Unlit materials from KHR_materials_unlit are shaded with their base color
+  unlit: boolean = false;
+
+  alphaMode: GLTFAlphaMode = GLTFAlphaMode.OPAQUE;
+  alphaCutoff: number = 0.5;
+  // Double sided materials are rendered without back face culling, and back
+  // faces are shaded with their normals flipped
+  doubleSided: boolean = false;
 
   // Uniform buffer holding the material factor params
   paramBuffer: GPUBuffer = null;
@@ -21,31 +98,227 @@ export class GLTFMaterial {
 
   constructor(
     baseColorFactor: vec4,
-    baseColorTexture: GLTFTexture | null,
+    baseColorTexture: GLTFTextureInfo | null,
     metallicFactor: number,
     roughnessFactor: number,
-    metallicRoughnessTexture: GLTFTexture | null
+    metallicRoughnessTexture: GLTFTextureInfo | null
   ) {
     this.baseColorFactor = baseColorFactor;
     this.baseColorTexture = baseColorTexture;
     if (this.baseColorTexture) {
-      this.baseColorTexture.setUsage(ImageUsage.BASE_COLOR);
+      this.baseColorTexture.texture.addUsage(ImageUsage.BASE_COLOR);
     }
 
     this.metallicFactor = metallicFactor;
     this.roughnessFactor = roughnessFactor;
     this.metallicRoughnessTexture = metallicRoughnessTexture;
     if (this.metallicRoughnessTexture) {
-      this.metallicRoughnessTexture.setUsage(ImageUsage.METALLIC_ROUGHNESS);
+      this.metallicRoughnessTexture.texture.addUsage(
+        ImageUsage.METALLIC_ROUGHNESS
+      );
     }
   }
 
+  setNormalTexture(texture: GLTFTextureInfo, scale: number) {
+    this.normalTexture = texture;
+    this.normalTexture.texture.addUsage(ImageUsage.NORMAL);
+    this.normalScale = scale;
+  }
+
+  setOcclusionTexture(texture: GLTFTextureInfo, strength: number) {
+    this.occlusionTexture = texture;
+    this.occlusionTexture.texture.addUsage(ImageUsage.OCCLUSION);
+    this.occlusionStrength = strength;
+  }
+
+  setEmissive(factor: vec3, texture: GLTFTextureInfo | null) {
+    this.emissiveFactor = factor;
+    this.emissiveTexture = texture;
+    if (this.emissiveTexture) {
+      this.emissiveTexture.texture.addUsage(ImageUsage.EMISSION);
+    }
+  }
+
+  setEmissiveStrength(strength: number) {
+    this.emissiveStrength = strength;
+  }
+
+  setIor(ior: number) {
+    this.ior = ior;
+  }
+
+  setSpecular(
+    factor: number,
+    texture: GLTFTextureInfo | null,
+    colorFactor: vec3,
+    colorTexture: GLTFTextureInfo | null
+  ) {
+    this.specularFactor = factor;
+    this.specularTexture = texture;
+    if (this.specularTexture) {
+      this.specularTexture.texture.addUsage(ImageUsage.SPECULAR);
+    }
+    this.specularColorFactor = colorFactor;
+    this.specularColorTexture = colorTexture;
+    if (this.specularColorTexture) {
+      this.specularColorTexture.texture.addUsage(ImageUsage.SPECULAR_COLOR);
+    }
+  }
+
+  setClearcoat(
+    factor: number,
+    texture: GLTFTextureInfo | null,
+    roughnessFactor: number,
+    roughnessTexture: GLTFTextureInfo | null,
+    normalTexture: GLTFTextureInfo | null,
+    normalScale: number
+  ) {
+    this.hasClearcoat = true;
+    this.clearcoatFactor = factor;
+    this.clearcoatTexture = texture;
+    if (this.clearcoatTexture) {
+      this.clearcoatTexture.texture.addUsage(ImageUsage.CLEARCOAT);
+    }
+    this.clearcoatRoughnessFactor = roughnessFactor;
+    this.clearcoatRoughnessTexture = roughnessTexture;
+    if (this.clearcoatRoughnessTexture) {
+      this.clearcoatRoughnessTexture.texture.addUsage(
+        ImageUsage.CLEARCOAT_ROUGHNESS
+      );
+    }
+    this.clearcoatNormalTexture = normalTexture;
+    if (this.clearcoatNormalTexture) {
+      this.clearcoatNormalTexture.texture.addUsage(ImageUsage.CLEARCOAT_NORMAL);
+    }
+    this.clearcoatNormalScale = normalScale;
+  }
+
+  setSheen(
+    colorFactor: vec3,
+    colorTexture: GLTFTextureInfo | null,
+    roughnessFactor: number,
+    roughnessTexture: GLTFTextureInfo | null
+  ) {
+    this.hasSheen = true;
+    this.sheenColorFactor = colorFactor;
+    this.sheenColorTexture = colorTexture;
+    if (this.sheenColorTexture) {
+      this.sheenColorTexture.texture.addUsage(ImageUsage.SHEEN_COLOR);
+    }
+    this.sheenRoughnessFactor = roughnessFactor;
+    this.sheenRoughnessTexture = roughnessTexture;
+    if (this.sheenRoughnessTexture) {
+      this.sheenRoughnessTexture.texture.addUsage(ImageUsage.SHEEN_ROUGHNESS);
+    }
+  }
+
+  setUnlit(unlit: boolean) {
+    this.unlit = unlit;
+  }
+
+  setAlphaMode(mode: GLTFAlphaMode, cutoff: number) {
+    this.alphaMode = mode;
+    this.alphaCutoff = cutoff;
+  }
+
+  setDoubleSided(doubleSided: boolean) {
+    this.doubleSided = doubleSided;
+  }
+
+  get isBlended() {
+    return this.alphaMode == GLTFAlphaMode.BLEND;
+  }
+
+  // The material's texture references in the order of their bindings in
+  // gltf_prim.wgsl, along with the shader feature enabling each texture and
+  // the usage selecting the color space it's sampled in
+  get textures() {
+    return [
+      {
+        info: this.baseColorTexture,
+        feature: ShaderFeature.BASE_COLOR_TEXTURE,
+        usage: ImageUsage.BASE_COLOR,
+      },
+      {
+        info: this.metallicRoughnessTexture,
+        feature: ShaderFeature.METALLIC_ROUGHNESS_TEXTURE,
+        usage: ImageUsage.METALLIC_ROUGHNESS,
+      },
+      {
+        info: this.normalTexture,
+        feature: ShaderFeature.NORMAL_TEXTURE,
+        usage: ImageUsage.NORMAL,
+      },
+      {
+        info: this.occlusionTexture,
+        feature: ShaderFeature.OCCLUSION_TEXTURE,
+        usage: ImageUsage.OCCLUSION,
+      },
+      {
+        info: this.emissiveTexture,
+        feature: ShaderFeature.EMISSIVE_TEXTURE,
+        usage: ImageUsage.EMISSION,
+      },
+      {
+        info: this.specularTexture,
+        feature: ShaderFeature.SPECULAR_TEXTURE,
+        usage: ImageUsage.SPECULAR,
+      },
+      {
+        info: this.specularColorTexture,
+        feature: ShaderFeature.SPECULAR_COLOR_TEXTURE,
+        usage: ImageUsage.SPECULAR_COLOR,
+      },
+      {
+        info: this.clearcoatTexture,
+        feature: ShaderFeature.CLEARCOAT_TEXTURE,
+        usage: ImageUsage.CLEARCOAT,
+      },
+      {
+        info: this.clearcoatRoughnessTexture,
+        feature: ShaderFeature.CLEARCOAT_ROUGHNESS_TEXTURE,
+        usage: ImageUsage.CLEARCOAT_ROUGHNESS,
+      },
+      {
+        info: this.clearcoatNormalTexture,
+        feature: ShaderFeature.CLEARCOAT_NORMAL_TEXTURE,
+        usage: ImageUsage.CLEARCOAT_NORMAL,
+      },
+      {
+        info: this.sheenColorTexture,
+        feature: ShaderFeature.SHEEN_COLOR_TEXTURE,
+        usage: ImageUsage.SHEEN_COLOR,
+      },
+      {
+        info: this.sheenRoughnessTexture,
+        feature: ShaderFeature.SHEEN_ROUGHNESS_TEXTURE,
+        usage: ImageUsage.SHEEN_ROUGHNESS,
+      },
+    ];
+  }
+
+  // The shader features required by the material's textures and layers
+  get shaderFeatures() {
+    let features = this.textures
+      .filter((t) => t.info != null)
+      .map((t) => t.feature);
+    if (this.hasClearcoat) {
+      features.push(ShaderFeature.CLEARCOAT);
+    }
+    if (this.hasSheen) {
+      features.push(ShaderFeature.SHEEN);
+    }
+    if (this.unlit) {
+      features.push(ShaderFeature.UNLIT);
+    }
+    return features;
+  }
+
   // Upload params buffer and create the bind group and bind group layout
   // for the material params
   upload(device: GPUDevice) {
     this.paramBuffer = device.createBuffer({
-      // We'll be passing 6 floats, which round up to 8 in UBO alignment
-      size: 8 * 4,
+      size: materialParamsSize,
       usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.UNIFORM,
       mappedAtCreation: true,
     });
@@ -54,7 +327,43 @@ export class GLTFMaterial {
     {
       const params = new Float32Array(this.paramBuffer.getMappedRange());
       params.set(this.baseColorFactor, 0);
-      params.set([this.metallicFactor, this.roughnessFactor], 4);
+      params.set(
+        [
+          this.metallicFactor,
+          this.roughnessFactor,
+          this.normalScale,
+          this.occlusionStrength,
+        ],
+        4
+      );
+      params.set(
+        vec3.scale(vec3.create(), this.emissiveFactor, this.emissiveStrength),
+        8
+      );
+      params[11] = this.alphaCutoff;
+      new Uint32Array(params.buffer, 12 * 4, 1)[0] =
+        shaderAlphaModes[this.alphaMode];
+      params.set([this.ior, this.specularFactor, this.clearcoatFactor], 13);
+      params.set(this.specularColorFactor, 16);
+      params[19] = this.clearcoatRoughnessFactor;
+      params.set(this.sheenColorFactor, 20);
+      params[23] = this.sheenRoughnessFactor;
+      params[24] = this.clearcoatNormalScale;
+
+      // Upload the texture coordinate transform and set of each texture,
+      // textures the material doesn't have are left zeroed
+      const textures = this.textures;
+      for (let i = 0; i < textures.length; ++i) {
+        const info = textures[i].info;
+        if (!info) {
+          continue;
+        }
+        const offset = 28 + i * 8;
+        const rows = info.transformRows;
+        params.set(rows[0], offset);
+        new Uint32Array(params.buffer, (offset + 3) * 4, 1)[0] = info.texCoord;
+        params.set(rows[1], offset + 4);
+      }
     }
     this.paramBuffer.unmap();
 
@@ -73,58 +382,44 @@ export class GLTFMaterial {
         binding: 0,
         resource: {
           buffer: this.paramBuffer,
-          size: 8 * 4,
+          size: materialParamsSize,
         },
       },
     ];
 
-    // If we have a base color texture, add the sampler and texture bindings
-    if (this.baseColorTexture) {
-      bgLayoutEntries.push({
-        binding: 1,
-        visibility: GPUShaderStage.FRAGMENT,
-        sampler: {},
-      });
-      bgLayoutEntries.push({
-        binding: 2,
-        visibility: GPUShaderStage.FRAGMENT,
-        texture: {},
-      });
-
-      bgEntries.push({
-        binding: 1,
-        resource: this.baseColorTexture.sampler.sampler,
-      });
-      bgEntries.push({
-        binding: 2,
-        resource: this.baseColorTexture.image.view,
-      });
-    }
-
-    // If we have a metallicRoughnessTexture, add its sampler and texture bindings
-    if (this.metallicRoughnessTexture) {
+    // Add the sampler and texture bindings for the textures the material has. The
+    // shader variant for the material only declares the bindings of these textures
+    const textures = this.textures;
+    for (let i = 0; i < textures.length; ++i) {
+      const info = textures[i].info;
+      if (!info) {
+        continue;
+      }
+      const binding = 1 + i * 2;
       bgLayoutEntries.push({
-        binding: 3,
+        binding: binding,
         visibility: GPUShaderStage.FRAGMENT,
         sampler: {},
       });
       bgLayoutEntries.push({
-        binding: 4,
+        binding: binding + 1,
         visibility: GPUShaderStage.FRAGMENT,
         texture: {},
       });
 
       bgEntries.push({
-        binding: 3,
-        resource: this.metallicRoughnessTexture.sampler.sampler,
+        binding: binding,
+        resource: info.texture.sampler.sampler,
       });
       bgEntries.push({
-        binding: 4,
-        resource: this.metallicRoughnessTexture.image.view,
+        binding: binding + 1,
+        resource: info.texture.image.getView(textures[i].usage),
       });
     }
 
-    this.bindGroupLayout = device.createBindGroupLayout({
+    // Materials using the same set of textures share the bind group layout,
+    // allowing their primitives to share render pipelines
+    this.bindGroupLayout = getRenderPipelineCache(device).getBindGroupLayout({
       entries: bgLayoutEntries,
     });
 
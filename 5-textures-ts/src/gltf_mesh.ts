@@ -1,18 +1,46 @@
-import { mat4 } from "gl-matrix";
+import { mat4, quat, vec3 } from "gl-matrix";
+import { GLTFAnimation } from "./gltf_animation";
+import { GLTFCamera, GLTFCameraInstance } from "./gltf_camera";
+import { GLTFLight, GLTFLightsBuffer } from "./gltf_light";
+import { GLTFEnvironment } from "./gltf_environment";
 import { GLTFPrimitive } from "./gltf_primitive";
+import {
+  getEnvironmentBindGroupLayout,
+  getRenderPipelineCache,
+} from "./gltf_pipeline_cache";
+import { GLTFSkin, getDefaultJointMatricesBuffer } from "./gltf_skin";
 
 export class GLTFMesh {
   name: string;
   primitives: Array<GLTFPrimitive>;
+  // The default morph target weights, used by nodes that don't
+  // specify their own weights
+  weights: Float32Array;
 
-  constructor(name: string, primitives: Array<GLTFPrimitive>) {
+  constructor(
+    name: string,
+    primitives: Array<GLTFPrimitive>,
+    weights: Array<number> | null = null
+  ) {
     this.name = name;
     this.primitives = primitives;
+    // All primitives of a mesh must have the same number of morph targets
+    this.weights = new Float32Array(this.numTargets);
+    if (weights) {
+      this.weights.set(weights);
+    }
+  }
+
+  get numTargets() {
+    return this.primitives.length > 0 ? this.primitives[0].targets.length : 0;
+  }
+
+  setWeights(weights: ArrayLike<number>) {
+    this.weights.set(weights);
   }
 
   buildRenderPipeline(
     device: GPUDevice,
-    shaderModule: GPUShaderModule,
     colorFormat: GPUTextureFormat,
     depthFormat: GPUTextureFormat,
     bindGroupLayouts: Array<GPUBindGroupLayout>
@@ -22,7 +50,6 @@ export class GLTFMesh {
     for (let prim of this.primitives) {
       prim.buildRenderPipeline(
         device,
-        shaderModule,
         colorFormat,
         depthFormat,
         bindGroupLayouts
@@ -30,108 +57,428 @@ export class GLTFMesh {
     }
   }
 
-  render(renderPassEncoder: GPURenderPassEncoder) {
+  // Render the mesh's opaque and alpha masked primitives. Blended primitives
+  // are sorted and rendered separately by the scene
+  render(
+    renderPassEncoder: GPURenderPassEncoder,
+    nodeParamsBGs: Array<GPUBindGroup>,
+    mirrored: boolean
+  ) {
     // We take a pretty simple approach to start. Just loop through all the primitives and
-    // call their individual draw methods
-    for (let prim of this.primitives) {
-      prim.render(renderPassEncoder);
+    // call their individual draw methods. Each primitive has its own node params bind
+    // group, which binds the primitive's morph targets
+    for (let i = 0; i < this.primitives.length; ++i) {
+      if (this.primitives[i].material.isBlended) {
+        continue;
+      }
+      renderPassEncoder.setBindGroup(1, nodeParamsBGs[i]);
+      this.primitives[i].render(renderPassEncoder, mirrored);
     }
   }
 }
 
 export class GLTFNode {
   name: string;
-  transform: mat4;
-  mesh: GLTFMesh;
+  // The node's local transform, either given as a matrix or as translation,
+  // rotation and scale properties. Animations target the TRS properties,
+  // nodes with a matrix can't be animated
+  matrix: mat4 | null = null;
+  translation: vec3 = vec3.create();
+  rotation: quat = quat.create();
+  scale: vec3 = vec3.fromValues(1, 1, 1);
+
+  // The node's world space transform, computed by updateTransform
+  transform: mat4 = mat4.create();
+  mesh: GLTFMesh | null;
+  // The skin used to deform the node's mesh, if it's a skinned mesh
+  skin: GLTFSkin | null = null;
+  // The node's morph target weights, if null the mesh's weights are used
+  weights: Float32Array | null = null;
+  // The punctual light placed at this node, if any
+  light: GLTFLight | null = null;
+  // The camera placed at this node, if any
+  camera: GLTFCamera | null = null;
+
+  parent: GLTFNode | null = null;
+  children: Array<GLTFNode> = [];
 
   nodeParamsBuf: GPUBuffer;
+  morphWeightsBuf: GPUBuffer;
   nodeParamsBGLayout: GPUBindGroupLayout;
-  nodeParamsBG: GPUBindGroup;
+  // The node params bind group for each primitive of the mesh
+  nodeParamsBGs: Array<GPUBindGroup>;
+  // The lights buffer bound by the node params bind groups
+  nodeParamsBGsLightsBuf: GPUBuffer;
 
-  constructor(name: string, transform: mat4, mesh: GLTFMesh) {
+  constructor(name: string, mesh: GLTFMesh | null) {
     this.name = name;
-    this.transform = transform;
     this.mesh = mesh;
 
     this.nodeParamsBuf = null;
+    this.morphWeightsBuf = null;
     this.nodeParamsBGLayout = null;
-    this.nodeParamsBG = null;
+    this.nodeParamsBGs = [];
+    this.nodeParamsBGsLightsBuf = null;
+  }
+
+  // The morph target weights applied to the node's mesh
+  get morphWeights() {
+    return this.weights ?? this.mesh?.weights;
+  }
+
+  // Override the mesh's morph target weights for this node
+  setWeights(weights: ArrayLike<number>) {
+    if (!this.weights) {
+      this.weights = new Float32Array(this.mesh.numTargets);
+    }
+    this.weights.set(weights);
+  }
+
+  addChild(child: GLTFNode) {
+    child.parent = this;
+    this.children.push(child);
+  }
+
+  get localTransform() {
+    if (this.matrix) {
+      return this.matrix;
+    }
+    return mat4.fromRotationTranslationScale(
+      mat4.create(),
+      this.rotation,
+      this.translation,
+      this.scale
+    );
+  }
+
+  // Recompute the world space transform of this node and its children
+  updateTransform(parentTransform: mat4 | null) {
+    if (parentTransform) {
+      mat4.mul(this.transform, parentTransform, this.localTransform);
+    } else {
+      mat4.copy(this.transform, this.localTransform);
+    }
+    for (let c of this.children) {
+      c.updateTransform(this.transform);
+    }
+  }
+
+  // Write the node's transform and the inverse transpose transform, which
+  // is used to transform normals, to the node params buffer
+  upload(device: GPUDevice) {
+    if (!this.nodeParamsBuf) {
+      return;
+    }
+    let normalTransform = mat4.create();
+    // Degenerate (e.g., zero scale) transforms can't be inverted, but
+    // also won't produce any visible geometry
+    if (mat4.invert(normalTransform, this.transform)) {
+      mat4.transpose(normalTransform, normalTransform);
+    }
+    let params = new Float32Array(2 * 16);
+    params.set(this.transform, 0);
+    params.set(normalTransform, 16);
+    device.queue.writeBuffer(this.nodeParamsBuf, 0, params);
+  }
+
+  // Write the node's current morph target weights to the morph weights buffer
+  uploadWeights(device: GPUDevice) {
+    if (!this.morphWeightsBuf || this.mesh.numTargets == 0) {
+      return;
+    }
+    device.queue.writeBuffer(
+      this.morphWeightsBuf,
+      0,
+      new Float32Array(this.morphWeights)
+    );
   }
 
   buildRenderPipeline(
     device: GPUDevice,
-    shaderModule: GPUShaderModule,
     colorFormat: GPUTextureFormat,
     depthFormat: GPUTextureFormat,
-    uniformsBGLayout: GPUBindGroupLayout
+    uniformsBGLayout: GPUBindGroupLayout,
+    environmentBGLayout: GPUBindGroupLayout,
+    lightsBuf: GPUBuffer
   ) {
-    // Upload the node transform
-    this.nodeParamsBuf = device.createBuffer({
-      size: 16 * 4,
-      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
-      mappedAtCreation: true,
-    });
-    new Float32Array(this.nodeParamsBuf.getMappedRange()).set(this.transform);
-    this.nodeParamsBuf.unmap();
+    if (!this.mesh) {
+      return;
+    }
+    // Nodes shared by multiple scenes are built again when switching between
+    // the scenes, and keep the buffers created the first time
+    if (!this.nodeParamsBuf) {
+      this.nodeParamsBuf = device.createBuffer({
+        size: 2 * 16 * 4,
+        usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+      });
+
+      // Storage buffer bindings can't be empty, so we allocate at least one weight
+      this.morphWeightsBuf = device.createBuffer({
+        size: Math.max(this.mesh.numTargets, 1) * 4,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+      });
+    }
+    this.upload(device);
+    this.uploadWeights(device);
 
-    var bindGroupLayout = device.createBindGroupLayout({
+    // All nodes share the same bind group layout through the pipeline cache.
+    // Nodes without a skin bind a default joint matrices buffer, since
+    // their vertices have zero skin weights and won't read it. The scene's
+    // lights are also bound here, as the other bind groups are all in use
+    var bindGroupLayout = getRenderPipelineCache(device).getBindGroupLayout({
       entries: [
         {
           binding: 0,
           visibility: GPUShaderStage.VERTEX,
           buffer: { type: "uniform" },
         },
+        {
+          binding: 1,
+          visibility: GPUShaderStage.VERTEX,
+          buffer: { type: "read-only-storage" },
+        },
+        {
+          binding: 2,
+          visibility: GPUShaderStage.VERTEX,
+          buffer: { type: "read-only-storage" },
+        },
+        {
+          binding: 3,
+          visibility: GPUShaderStage.VERTEX,
+          buffer: { type: "read-only-storage" },
+        },
+        {
+          binding: 4,
+          visibility: GPUShaderStage.FRAGMENT,
+          buffer: { type: "read-only-storage" },
+        },
       ],
     });
-    this.nodeParamsBG = device.createBindGroup({
-      layout: bindGroupLayout,
-      entries: [{ binding: 0, resource: { buffer: this.nodeParamsBuf } }],
-    });
 
-    this.mesh.buildRenderPipeline(
-      device,
-      shaderModule,
-      colorFormat,
-      depthFormat,
-      [uniformsBGLayout, bindGroupLayout]
+    // The primitive pipelines must be built first so that their
+    // morph target buffers are uploaded
+    this.mesh.buildRenderPipeline(device, colorFormat, depthFormat, [
+      uniformsBGLayout,
+      bindGroupLayout,
+      environmentBGLayout,
+    ]);
+
+    // The bind groups only need to be recreated to bind a different scene's lights
+    if (this.nodeParamsBGsLightsBuf == lightsBuf) {
+      return;
+    }
+    this.nodeParamsBGsLightsBuf = lightsBuf;
+
+    let jointMatricesBuf = getDefaultJointMatricesBuffer(device);
+    if (this.skin) {
+      jointMatricesBuf = this.skin.jointMatricesBuf;
+    }
+    this.nodeParamsBGs = this.mesh.primitives.map((prim) =>
+      device.createBindGroup({
+        layout: bindGroupLayout,
+        entries: [
+          { binding: 0, resource: { buffer: this.nodeParamsBuf } },
+          { binding: 1, resource: { buffer: jointMatricesBuf } },
+          { binding: 2, resource: { buffer: this.morphWeightsBuf } },
+          { binding: 3, resource: { buffer: prim.morphTargetsBuf } },
+          { binding: 4, resource: { buffer: lightsBuf } },
+        ],
+      })
     );
   }
 
+  // Whether the node's transform mirrors its geometry,
+  // reversing the winding order of its triangles
+  get isMirrored() {
+    return mat4.determinant(this.transform) < 0;
+  }
+
   render(renderPassEncoder: GPURenderPassEncoder) {
-    renderPassEncoder.setBindGroup(1, this.nodeParamsBG);
-    this.mesh.render(renderPassEncoder);
+    if (!this.mesh) {
+      return;
+    }
+    this.mesh.render(renderPassEncoder, this.nodeParamsBGs, this.isMirrored);
+  }
+
+  // Render a single primitive of the node's mesh
+  renderPrimitive(renderPassEncoder: GPURenderPassEncoder, index: number) {
+    renderPassEncoder.setBindGroup(1, this.nodeParamsBGs[index]);
+    this.mesh.primitives[index].render(renderPassEncoder, this.isMirrored);
   }
 }
 
 export class GLTFScene {
+  name: string;
+  // The root nodes of the scene's node hierarchy
+  rootNodes: Array<GLTFNode>;
+  // All nodes in the scene's hierarchy, parents are listed before their children
   nodes: Array<GLTFNode>;
 
-  constructor(nodes: Array<GLTFNode>) {
-    this.nodes = nodes;
+  // The animations targeting nodes in the scene
+  animations: Array<GLTFAnimation>;
+  // The skins used by skinned mesh nodes in the scene
+  skins: Array<GLTFSkin>;
+  // The punctual lights placed in the scene by its nodes
+  lights: GLTFLightsBuffer;
+  // The cameras placed in the scene by its nodes
+  cameras: Array<GLTFCameraInstance>;
+
+  constructor(
+    name: string,
+    rootNodes: Array<GLTFNode>,
+    animations: Array<GLTFAnimation>
+  ) {
+    this.name = name;
+    this.rootNodes = rootNodes;
+    this.animations = animations;
+
+    this.nodes = [];
+    let stack = [...rootNodes].reverse();
+    while (stack.length > 0) {
+      const n = stack.pop();
+      this.nodes.push(n);
+      stack.push(...[...n.children].reverse());
+    }
+
+    this.skins = [];
+    for (let n of this.nodes) {
+      if (n.skin && !this.skins.includes(n.skin)) {
+        this.skins.push(n.skin);
+      }
+    }
+    this.lights = new GLTFLightsBuffer(this.nodes.filter((n) => n.light));
+    this.cameras = this.nodes
+      .filter((n) => n.camera)
+      .map((n) => new GLTFCameraInstance(n.camera, n));
+    this.updateTransforms();
+  }
+
+  // The world space bounding box of the scene's meshes, using the current transforms
+  // of their nodes. Returns null if the scene doesn't have any meshes
+  get bounds() {
+    let min = vec3.fromValues(Infinity, Infinity, Infinity);
+    let max = vec3.fromValues(-Infinity, -Infinity, -Infinity);
+    for (let n of this.nodes) {
+      for (let prim of n.mesh?.primitives ?? []) {
+        // Transform the corners of the primitive's bounding box to world space
+        for (let i = 0; i < 8; ++i) {
+          let corner = vec3.fromValues(
+            i & 1 ? prim.boundsMax[0] : prim.boundsMin[0],
+            i & 2 ? prim.boundsMax[1] : prim.boundsMin[1],
+            i & 4 ? prim.boundsMax[2] : prim.boundsMin[2]
+          );
+          vec3.transformMat4(corner, corner, n.transform);
+          vec3.min(min, min, corner);
+          vec3.max(max, max, corner);
+        }
+      }
+    }
+    if (min[0] > max[0]) {
+      return null;
+    }
+    return { min: min, max: max };
+  }
+
+  // Find an animation clip by name
+  getAnimation(name: string) {
+    return this.animations.find((a) => a.name == name);
+  }
+
+  // Recompute the world space transforms of all nodes in the scene
+  updateTransforms() {
+    for (let n of this.rootNodes) {
+      n.updateTransform(null);
+    }
+  }
+
+  // Advance the playing animations by dt seconds and upload the updated
+  // node transforms. This should be called each frame before rendering
+  update(device: GPUDevice, dt: number) {
+    let animated = false;
+    for (let a of this.animations) {
+      animated = a.update(dt) || animated;
+    }
+    // Morph weights can be animated or set by the application, so we
+    // upload them each frame. This is just a few floats per morphed node
+    for (let n of this.nodes) {
+      n.uploadWeights(device);
+    }
+    if (animated) {
+      this.updateTransforms();
+      for (let n of this.nodes) {
+        n.upload(device);
+      }
+      for (let s of this.skins) {
+        s.upload(device);
+      }
+      this.lights.upload(device);
+    }
   }
 
   buildRenderPipeline(
     device: GPUDevice,
-    shaderModule: GPUShaderModule,
     colorFormat: GPUTextureFormat,
     depthFormat: GPUTextureFormat,
     uniformsBGLayout: GPUBindGroupLayout
   ) {
+    // Upload the joint matrices so that the skinned nodes can bind them
+    for (let s of this.skins) {
+      s.upload(device);
+    }
+    this.lights.create(device);
     for (let n of this.nodes) {
       n.buildRenderPipeline(
         device,
-        shaderModule,
         colorFormat,
         depthFormat,
-        uniformsBGLayout
+        uniformsBGLayout,
+        getEnvironmentBindGroupLayout(device),
+        this.lights.lightsBuf
       );
     }
   }
 
-  render(renderPassEncoder: GPURenderPassEncoder, uniformsBG: GPUBindGroup) {
+  // Render the scene, lit by its lights and the environment. The opaque and alpha
+  // masked primitives are rendered first, followed by the blended primitives
+  // sorted back to front from the camera position
+  render(
+    renderPassEncoder: GPURenderPassEncoder,
+    uniformsBG: GPUBindGroup,
+    environment: GLTFEnvironment,
+    cameraPosition: vec3
+  ) {
     renderPassEncoder.setBindGroup(0, uniformsBG);
+    renderPassEncoder.setBindGroup(2, environment.bindGroup);
     for (let n of this.nodes) {
       n.render(renderPassEncoder);
     }
+
+    // Blended primitives are sorted by the distance to the
+    // center of their bounds in world space
+    let blended = [];
+    for (let n of this.nodes) {
+      if (!n.mesh) {
+        continue;
+      }
+      for (let i = 0; i < n.mesh.primitives.length; ++i) {
+        const prim = n.mesh.primitives[i];
+        if (prim.material.isBlended) {
+          const center = vec3.transformMat4(
+            vec3.create(),
+            prim.center,
+            n.transform
+          );
+          blended.push({
+            node: n,
+            index: i,
+            distance: vec3.sqrDist(center, cameraPosition),
+          });
+        }
+      }
+    }
+    blended.sort((a, b) => b.distance - a.distance);
+    for (let b of blended) {
+      b.node.renderPrimitive(renderPassEncoder, b.index);
+    }
   }
 }
@@ -0,0 +1,92 @@
+import mipmapShaderCode from "./gltf_mipmaps.wgsl";
+
+// Generate the mip chain of a 2D texture from its top level by rendering each level
+// from the previous one. The texture must have been created with the render
+// attachment and texture binding usages
+export function generateMipmaps(device: GPUDevice, texture: GPUTexture) {
+  if (texture.mipLevelCount == 1) {
+    return;
+  }
+  const pipeline = getMipmapPipeline(device, texture.format);
+  const sampler = getMipmapSampler(device);
+
+  const commandEncoder = device.createCommandEncoder();
+  for (let level = 1; level < texture.mipLevelCount; ++level) {
+    const bindGroup = device.createBindGroup({
+      layout: pipeline.getBindGroupLayout(0),
+      entries: [
+        { binding: 0, resource: sampler },
+        {
+          binding: 1,
+          resource: texture.createView({
+            baseMipLevel: level - 1,
+            mipLevelCount: 1,
+          }),
+        },
+      ],
+    });
+    const renderPass = commandEncoder.beginRenderPass({
+      colorAttachments: [
+        {
+          view: texture.createView({ baseMipLevel: level, mipLevelCount: 1 }),
+          loadOp: "clear",
+          storeOp: "store",
+        },
+      ],
+    });
+    renderPass.setPipeline(pipeline);
+    renderPass.setBindGroup(0, bindGroup);
+    renderPass.draw(3);
+    renderPass.end();
+  }
+  device.queue.submit([commandEncoder.finish()]);
+}
+
+// The mip generation pipelines for each texture format
+const mipmapPipelines = new WeakMap<
+  GPUDevice,
+  Map<GPUTextureFormat, GPURenderPipeline>
+>();
+
+function getMipmapPipeline(device: GPUDevice, format: GPUTextureFormat) {
+  let pipelines = mipmapPipelines.get(device);
+  if (!pipelines) {
+    pipelines = new Map();
+    mipmapPipelines.set(device, pipelines);
+  }
+  let pipeline = pipelines.get(format);
+  if (!pipeline) {
+    const shaderModule = device.createShaderModule({ code: mipmapShaderCode });
+    pipeline = device.createRenderPipeline({
+      layout: "auto",
+      vertex: {
+        module: shaderModule,
+        entryPoint: "vertex_main",
+      },
+      fragment: {
+        module: shaderModule,
+        entryPoint: "fragment_main",
+        targets: [{ format: format }],
+      },
+      primitive: {
+        topology: "triangle-list",
+      },
+    });
+    pipelines.set(format, pipeline);
+  }
+  return pipeline;
+}
+
+const mipmapSamplers = new WeakMap<GPUDevice, GPUSampler>();
+
+function getMipmapSampler(device: GPUDevice) {
+  let sampler = mipmapSamplers.get(device);
+  if (!sampler) {
+    sampler = device.createSampler({
+      magFilter: "linear",
+      minFilter: "linear",
+    });
+    mipmapSamplers.set(device, sampler);
+  }
+  return sampler;
+}
@@ -0,0 +1,33 @@
+alias float4 = vec4<f32>;
+alias float2 = vec2<f32>;
+
+struct VertexOutput {
+    @builtin(position) position: float4,
+    @location(0) uv: float2,
+};
+
+@group(0) @binding(0)
+var mip_sampler: sampler;
+
+// The previous mip level of the texture
+@group(0) @binding(1)
+var input_level: texture_2d<f32>;
+
+// Draw a triangle covering the whole mip level being written
+@vertex
+fn vertex_main(@builtin(vertex_index) vertex_index: u32) -> VertexOutput {
+    let uv = float2(f32((vertex_index << 1u) & 2u), f32(vertex_index & 2u));
+    var out: VertexOutput;
+    out.position = float4(uv * float2(2.0, -2.0) + float2(-1.0, 1.0), 0.0, 1.0);
+    out.uv = uv;
+    return out;
+}
+
+// Each texel of the level is the bilinear filtered average of the 2x2 texels
+// it covers in the previous level. For sRGB textures the previous level is decoded to
+// linear when sampled and the result encoded to sRGB when written, so the averaging
+// is done in linear space
+@fragment
+fn fragment_main(in: VertexOutput) -> @location(0) float4 {
+    return textureSampleLevel(input_level, mip_sampler, in.uv, 0.0);
+}
@@ -0,0 +1,128 @@
+// Caches bind group layouts, pipeline layouts and render pipelines so that primitives
+// with the same vertex layout, topology, material bind group layout and output
+// formats share a single render pipeline. Scenes often contain many primitives that
+// would otherwise compile identical pipelines. The cache is shared for all scenes
+// loaded on a device, so reloading a scene reuses the pipelines already compiled.
+export class GLTFRenderPipelineCache {
+  device: GPUDevice;
+
+  bindGroupLayouts: Map<string, GPUBindGroupLayout> = new Map();
+  pipelineLayouts: Map<string, GPUPipelineLayout> = new Map();
+  renderPipelines: Map<string, GPURenderPipeline> = new Map();
+
+  // Unique IDs for the GPU objects referenced by the descriptors, used
+  // to build the cache keys
+  objectIDs: WeakMap<object, number> = new WeakMap();
+  nextObjectID: number = 0;
+
+  // Number of cache hits and misses for render pipelines
+  hits: number = 0;
+  misses: number = 0;
+
+  constructor(device: GPUDevice) {
+    this.device = device;
+  }
+
+  // Get a bind group layout matching the descriptor, creating it if needed
+  getBindGroupLayout(desc: GPUBindGroupLayoutDescriptor) {
+    const key = JSON.stringify(desc.entries);
+    let layout = this.bindGroupLayouts.get(key);
+    if (!layout) {
+      layout = this.device.createBindGroupLayout(desc);
+      this.bindGroupLayouts.set(key, layout);
+    }
+    return layout;
+  }
+
+  // Get a pipeline layout for the bind group layouts, creating it if needed
+  getPipelineLayout(bindGroupLayouts: Array<GPUBindGroupLayout>) {
+    const key = bindGroupLayouts.map((l) => this.objectID(l)).join(",");
+    let layout = this.pipelineLayouts.get(key);
+    if (!layout) {
+      layout = this.device.createPipelineLayout({
+        bindGroupLayouts: bindGroupLayouts,
+      });
+      this.pipelineLayouts.set(key, layout);
+    }
+    return layout;
+  }
+
+  // Get a render pipeline matching the descriptor, creating it if needed.
+  // The layout must be an explicit pipeline layout, not "auto"
+  getRenderPipeline(desc: GPURenderPipelineDescriptor) {
+    const key = JSON.stringify(desc, (_, value) => {
+      if (
+        value instanceof GPUPipelineLayout ||
+        value instanceof GPUShaderModule
+      ) {
+        return this.objectID(value);
+      }
+      return value;
+    });
+    let pipeline = this.renderPipelines.get(key);
+    if (!pipeline) {
+      pipeline = this.device.createRenderPipeline(desc);
+      this.renderPipelines.set(key, pipeline);
+      this.misses++;
+    } else {
+      this.hits++;
+    }
+    return pipeline;
+  }
+
+  objectID(obj: object) {
+    let id = this.objectIDs.get(obj);
+    if (id === undefined) {
+      id = this.nextObjectID++;
+      this.objectIDs.set(obj, id);
+    }
+    return id;
+  }
+}
+
+const pipelineCaches = new WeakMap<GPUDevice, GLTFRenderPipelineCache>();
+
+// Get the pipeline cache shared by all scenes on the device
+export function getRenderPipelineCache(device: GPUDevice) {
+  let cache = pipelineCaches.get(device);
+  if (!cache) {
+    cache = new GLTFRenderPipelineCache(device);
+    pipelineCaches.set(device, cache);
+  }
+  return cache;
+}
+
+// Get the bind group layout shared by all environments, which is used
+// by the primitive render pipelines. It's defined here rather than with
+// the environment so the meshes can use it without importing the environment shaders
+export function getEnvironmentBindGroupLayout(device: GPUDevice) {
+  return getRenderPipelineCache(device).getBindGroupLayout({
+    entries: [
+      {
+        binding: 0,
+        visibility: GPUShaderStage.FRAGMENT,
+        buffer: { type: "uniform" },
+      },
+      {
+        binding: 1,
+        visibility: GPUShaderStage.FRAGMENT,
+        sampler: {},
+      },
+      {
+        binding: 2,
+        visibility: GPUShaderStage.FRAGMENT,
+        texture: { viewDimension: "cube" },
+      },
+      {
+        binding: 3,
+        visibility: GPUShaderStage.FRAGMENT,
+        texture: { viewDimension: "cube" },
+      },
+      {
+        binding: 4,
+        visibility: GPUShaderStage.FRAGMENT,
+        texture: {},
+      },
+    ],
+  });
+}
@@ -2,45 +2,288 @@ alias float4 = vec4<f32>;
 alias float3 = vec3<f32>;
 alias float2 = vec2<f32>;
 
+// Attributes missing from a primitive are filled in with default values,
+// normals and tangents are 0 when missing, and vertex colors are 1.
+// Vertices that are not skinned have zero weights
 struct VertexInput {
     @location(0) position: float3,
-    @location(1) texcoords: float2,
+    @location(1) normal: float3,
+    @location(2) tangent: float4,
+    @location(3) texcoords: float2,
+    @location(4) texcoords1: float2,
+    @location(5) color: float4,
+    @location(6) joints: vec4<u32>,
+    @location(7) weights: float4,
+    @builtin(vertex_index) vertex_index: u32,
 };
 
 struct VertexOutput {
     @builtin(position) position: float4,
     @location(0) world_pos: float3,
-    @location(1) texcoords: float2,
+    @location(1) normal: float3,
+    @location(2) texcoords: float2,
+    @location(3) color: float4,
+    // The world space tangent, with the bitangent sign in w. The
+    // tangent is zero if the primitive doesn't have tangents
+    @location(4) tangent: float4,
+    @location(5) texcoords1: float2,
 };
 
 struct ViewParams {
     view_proj: mat4x4<f32>,
+    // The size of the render target in pixels
+    viewport_size: float2,
+    // The size of points in pixels
+    point_size: f32,
+    // The world space position of the camera
+    camera_pos: float3,
 };
 
 struct NodeParams {
     transform: mat4x4<f32>,
+    normal_transform: mat4x4<f32>,
+};
+
+// The KHR_texture_transform of a texture, stored as the first two rows of the
+// 3x3 texture coordinate transform, and the texture coordinate set it reads
+struct TextureTransform {
+    u: float3,
+    tex_coord: u32,
+    v: float3,
 };
 
 struct MaterialParams {
     base_color_factor: float4,
     metallic_factor: f32,
     roughness_factor: f32,
+    normal_scale: f32,
+    occlusion_strength: f32,
+    // The emissive factor, scaled by the emissive strength
+    emissive_factor: float3,
+    alpha_cutoff: f32,
+    alpha_mode: u32,
+    ior: f32,
+    specular_factor: f32,
+    clearcoat_factor: f32,
+    specular_color_factor: float3,
+    clearcoat_roughness_factor: f32,
+    sheen_color_factor: float3,
+    sheen_roughness_factor: f32,
+    clearcoat_normal_scale: f32,
+    // The transform of each texture, indexed by the TEXTURE_* constants
+    texture_transforms: array<TextureTransform, 12>,
 };
 
+const TEXTURE_BASE_COLOR = 0u;
+const TEXTURE_METALLIC_ROUGHNESS = 1u;
+const TEXTURE_NORMAL = 2u;
+const TEXTURE_OCCLUSION = 3u;
+const TEXTURE_EMISSIVE = 4u;
+const TEXTURE_SPECULAR = 5u;
+const TEXTURE_SPECULAR_COLOR = 6u;
+const TEXTURE_CLEARCOAT = 7u;
+const TEXTURE_CLEARCOAT_ROUGHNESS = 8u;
+const TEXTURE_CLEARCOAT_NORMAL = 9u;
+const TEXTURE_SHEEN_COLOR = 10u;
+const TEXTURE_SHEEN_ROUGHNESS = 11u;
+
+// The alpha modes of the material, matching GLTFAlphaMode
+const ALPHA_OPAQUE = 0u;
+const ALPHA_MASK = 1u;
+const ALPHA_BLEND = 2u;
+
 @group(0) @binding(0)
 var<uniform> view_params: ViewParams;
 
 @group(1) @binding(0)
 var<uniform> node_params: NodeParams;
 
+// The joint matrices of the node's skin, which transform the skinned
+// vertices from the bind pose to world space
+@group(1) @binding(1)
+var<storage, read> joint_matrices: array<mat4x4<f32>>;
+
+// The morph target weights of the node, or the mesh's default weights
+@group(1) @binding(2)
+var<storage, read> morph_weights: array<f32>;
+
+// The position, normal and tangent deltas of each morph target, stored as
+// deltas[(target * num_vertices + vertex) * 3 + attribute]. Primitives without
+// morph targets bind a buffer with num_targets = 0
+struct MorphTargets {
+    num_targets: u32,
+    num_vertices: u32,
+    deltas: array<float4>,
+};
+
+@group(1) @binding(3)
+var<storage, read> morph_targets: MorphTargets;
+
+const LIGHT_DIRECTIONAL = 0u;
+const LIGHT_POINT = 1u;
+const LIGHT_SPOT = 2u;
+
+// A KHR_lights_punctual light, in world space. A range of 0 means the
+// light has no range limit
+struct Light {
+    position: float3,
+    range: f32,
+    direction: float3,
+    light_type: u32,
+    color: float3,
+    intensity: f32,
+    inner_cone_cos: f32,
+    outer_cone_cos: f32,
+};
+
+struct Lights {
+    num_lights: u32,
+    lights: array<Light>,
+};
+
+// The scene's lights are bound with the node params
+@group(1) @binding(4)
+var<storage, read> lights: Lights;
+
+// The rotation of the environment about the Y axis, its intensity scale
+// and the mip level of the specular map filtered for roughness 1
+struct EnvironmentParams {
+    rotation_cos: f32,
+    rotation_sin: f32,
+    intensity: f32,
+    specular_max_lod: f32,
+};
+
 @group(2) @binding(0)
-var<uniform> material_params: MaterialParams;
+var<uniform> environment_params: EnvironmentParams;
 
 @group(2) @binding(1)
-var base_color_sampler: sampler;
+var environment_sampler: sampler;
 
+// The environment prefiltered for the GGX distribution, with
+// roughness increasing with the mip level
 @group(2) @binding(2)
+var specular_map: texture_cube<f32>;
+
+@group(2) @binding(3)
+var irradiance_map: texture_cube<f32>;
+
+// The split sum BRDF scale and bias in the red and green channels, and the
+// directional albedo of the sheen lobe in the blue channel, indexed by n dot v
+// and roughness
+@group(2) @binding(4)
+var brdf_lut: texture_2d<f32>;
+
+@group(3) @binding(0)
+var<uniform> material_params: MaterialParams;
+
+// The material's textures are only declared in the shader variants for
+// materials that have them
+#ifdef HAS_BASE_COLOR_TEXTURE
+@group(3) @binding(1)
+var base_color_sampler: sampler;
+
+@group(3) @binding(2)
 var base_color_texture: texture_2d<f32>;
+#endif
+
+#ifdef HAS_METALLIC_ROUGHNESS_TEXTURE
+// The metallic value is stored in the blue channel and roughness in the green channel
+@group(3) @binding(3)
+var metallic_roughness_sampler: sampler;
+
+@group(3) @binding(4)
+var metallic_roughness_texture: texture_2d<f32>;
+#endif
+
+#ifdef HAS_NORMAL_TEXTURE
+@group(3) @binding(5)
+var normal_sampler: sampler;
+
+@group(3) @binding(6)
+var normal_texture: texture_2d<f32>;
+#endif
+
+#ifdef HAS_OCCLUSION_TEXTURE
+@group(3) @binding(7)
+var occlusion_sampler: sampler;
+
+@group(3) @binding(8)
+var occlusion_texture: texture_2d<f32>;
+#endif
+
+#ifdef HAS_EMISSIVE_TEXTURE
+@group(3) @binding(9)
+var emissive_sampler: sampler;
+
+@group(3) @binding(10)
+var emissive_texture: texture_2d<f32>;
+#endif
+
+// The specular strength is stored in the alpha channel
+#ifdef HAS_SPECULAR_TEXTURE
+@group(3) @binding(11)
+var specular_sampler: sampler;
+
+@group(3) @binding(12)
+var specular_texture: texture_2d<f32>;
+#endif
+
+#ifdef HAS_SPECULAR_COLOR_TEXTURE
+@group(3) @binding(13)
+var specular_color_sampler: sampler;
+
+@group(3) @binding(14)
+var specular_color_texture: texture_2d<f32>;
+#endif
+
+// The clearcoat strength is stored in the red channel
+#ifdef HAS_CLEARCOAT_TEXTURE
+@group(3) @binding(15)
+var clearcoat_sampler: sampler;
+
+@group(3) @binding(16)
+var clearcoat_texture: texture_2d<f32>;
+#endif
+
+// The clearcoat roughness is stored in the green channel
+#ifdef HAS_CLEARCOAT_ROUGHNESS_TEXTURE
+@group(3) @binding(17)
+var clearcoat_roughness_sampler: sampler;
+
+@group(3) @binding(18)
+var clearcoat_roughness_texture: texture_2d<f32>;
+#endif
+
+#ifdef HAS_CLEARCOAT_NORMAL_TEXTURE
+@group(3) @binding(19)
+var clearcoat_normal_sampler: sampler;
+
+@group(3) @binding(20)
+var clearcoat_normal_texture: texture_2d<f32>;
+#endif
+
+#ifdef HAS_SHEEN_COLOR_TEXTURE
+@group(3) @binding(21)
+var sheen_color_sampler: sampler;
+
+@group(3) @binding(22)
+var sheen_color_texture: texture_2d<f32>;
+#endif
+
+// The sheen roughness is stored in the alpha channel
+#ifdef HAS_SHEEN_ROUGHNESS_TEXTURE
+@group(3) @binding(23)
+var sheen_roughness_sampler: sampler;
+
+@group(3) @binding(24)
+var sheen_roughness_texture: texture_2d<f32>;
+#endif
+
+const PI = 3.14159265359;
+
+// The illuminance in lux of the headlight used for scenes without lights
+const HEADLIGHT_INTENSITY = 3.0;
 
 fn linear_to_srgb(x: f32) -> f32 {
     if (x <= 0.0031308) {
@@ -49,26 +292,468 @@ fn linear_to_srgb(x: f32) -> f32 {
     return 1.055 * pow(x, 1.0 / 2.4) - 0.055;
 }
 
-@vertex
-fn vertex_main(vert: VertexInput) -> VertexOutput {
+// Compute the inverse transpose of the transform, which is used to transform normals.
+// Only the upper 3x3 is inverted, as normals have w = 0. Degenerate transforms can't
+// be inverted, but also won't produce any visible geometry
+fn inverse_transpose(m: mat4x4<f32>) -> mat4x4<f32> {
+    let a = m[0].xyz;
+    let b = m[1].xyz;
+    let c = m[2].xyz;
+    // The columns of the inverse transpose are the cross products of the
+    // transform's columns, divided by its determinant
+    let det = dot(a, cross(b, c));
+    if (det == 0.0) {
+        return mat4x4<f32>(float4(1.0, 0.0, 0.0, 0.0), float4(0.0, 1.0, 0.0, 0.0),
+            float4(0.0, 0.0, 1.0, 0.0), float4(0.0, 0.0, 0.0, 1.0));
+    }
+    return mat4x4<f32>(float4(cross(b, c) / det, 0.0), float4(cross(c, a) / det, 0.0),
+        float4(cross(a, b) / det, 0.0), float4(0.0, 0.0, 0.0, 1.0));
+}
+
+// Transform the vertex to clip space, the vertex index selects the vertex's
+// morph target deltas
+fn transform_vertex(vert: VertexInput, vertex_index: u32) -> VertexOutput {
     var out: VertexOutput;
-    out.position = view_params.view_proj * node_params.transform * float4(vert.position, 1.0);
-    out.world_pos = vert.position.xyz;
+    // Blend the morph targets before skinning, as required by the spec
+    var position = vert.position;
+    var normal = vert.normal;
+    var tangent = vert.tangent.xyz;
+    for (var t = 0u; t < morph_targets.num_targets; t++) {
+        let w = morph_weights[t];
+        let base = (t * morph_targets.num_vertices + vertex_index) * 3u;
+        position += w * morph_targets.deltas[base].xyz;
+        normal += w * morph_targets.deltas[base + 1u].xyz;
+        tangent += w * morph_targets.deltas[base + 2u].xyz;
+    }
+    var transform = node_params.transform;
+    var normal_transform = node_params.normal_transform;
+    // Skinned vertices are transformed by the weighted joint matrices, which
+    // output world space positions, and replace the node's transform
+    if (dot(vert.weights, float4(1.0)) > 0.0) {
+        transform = vert.weights.x * joint_matrices[vert.joints.x]
+            + vert.weights.y * joint_matrices[vert.joints.y]
+            + vert.weights.z * joint_matrices[vert.joints.z]
+            + vert.weights.w * joint_matrices[vert.joints.w];
+        normal_transform = inverse_transpose(transform);
+    }
+    let world_pos = transform * float4(position, 1.0);
+    out.position = view_params.view_proj * world_pos;
+    out.world_pos = world_pos.xyz;
+    out.normal = (normal_transform * float4(normal, 0.0)).xyz;
+    out.tangent = float4((transform * float4(tangent, 0.0)).xyz, vert.tangent.w);
     out.texcoords = vert.texcoords;
+    out.texcoords1 = vert.texcoords1;
+    out.color = vert.color;
     return out;
+}
+
+@vertex
+fn vertex_main(vert: VertexInput) -> VertexOutput {
+    return transform_vertex(vert, vert.vertex_index);
+}
+
+// Points are drawn as screen-space quads of point_size pixels, with one instance per
+// point. The vertex index selects the corner of the quad, and the point's
+// attributes are read per instance
+@vertex
+fn vertex_points(vert: VertexInput, @builtin(instance_index) instance_index: u32) -> VertexOutput {
+    var corners = array<float2, 6>(
+        float2(-1.0, -1.0), float2(1.0, -1.0), float2(-1.0, 1.0),
+        float2(-1.0, 1.0), float2(1.0, -1.0), float2(1.0, 1.0)
+    );
+    var out = transform_vertex(vert, instance_index);
+    let offset = corners[vert.vertex_index] * view_params.point_size / view_params.viewport_size;
+    out.position = float4(out.position.xy + offset * out.position.w, out.position.zw);
+    return out;
+}
+
+// The material properties of the surface being shaded
+struct Surface {
+    n: float3,
+    v: float3,
+    // The diffuse color, and the specular reflectance at normal
+    // and grazing incidence
+    c_diff: float3,
+    f0: float3,
+    f90: f32,
+    roughness: f32,
+    // The strength, normal and roughness of the clearcoat layer
+    clearcoat: f32,
+    clearcoat_n: float3,
+    clearcoat_roughness: f32,
+    sheen_color: float3,
+    sheen_roughness: f32,
 };
 
+fn fresnel_schlick(f0: float3, f90: f32, v_dot_h: f32) -> float3 {
+    return f0 + (f90 - f0) * pow(1.0 - v_dot_h, 5.0);
+}
+
+// The GGX microfacet distribution times the Smith joint masking-shadowing
+// visibility term, from Appendix B of the glTF spec
+fn ggx_dv(n_dot_l: f32, n_dot_v: f32, n_dot_h: f32, alpha: f32) -> f32 {
+    let alpha2 = alpha * alpha;
+    let d_denom = n_dot_h * n_dot_h * (alpha2 - 1.0) + 1.0;
+    let d = alpha2 / (PI * d_denom * d_denom);
+    let vis_l = n_dot_l + sqrt(alpha2 + (1.0 - alpha2) * n_dot_l * n_dot_l);
+    let vis_v = n_dot_v + sqrt(alpha2 + (1.0 - alpha2) * n_dot_v * n_dot_v);
+    return d / (vis_l * vis_v);
+}
+
+// The Charlie sheen distribution with the Neubelt visibility term
+fn sheen_dv(n_dot_l: f32, n_dot_v: f32, n_dot_h: f32, alpha: f32) -> f32 {
+    let inv_alpha = 1.0 / alpha;
+    let sin2_h = max(1.0 - n_dot_h * n_dot_h, 0.0);
+    let d = (2.0 + inv_alpha) * pow(sin2_h, inv_alpha * 0.5) / (2.0 * PI);
+    return d / (4.0 * (n_dot_l + n_dot_v - n_dot_l * n_dot_v));
+}
+
+// The sheen roughness is clamped to avoid the singularity of the
+// Charlie distribution at zero roughness
+fn sheen_alpha(s: Surface) -> f32 {
+    let roughness = max(s.sheen_roughness, 0.07);
+    return roughness * roughness;
+}
+
+// The fraction of light that passes through the sheen layer to the base material,
+// using the sheen's directional albedo stored in the BRDF lookup table
+fn sheen_albedo_scaling(s: Surface, n_dot_v: f32) -> f32 {
+    let albedo = textureSampleLevel(brdf_lut, environment_sampler,
+        float2(n_dot_v, max(s.sheen_roughness, 0.07)), 0.0).b;
+    return 1.0 - max(s.sheen_color.r, max(s.sheen_color.g, s.sheen_color.b)) * albedo;
+}
+
+// The metallic-roughness BRDF from Appendix B of the glTF spec, with the sheen and
+// clearcoat layers on top of it. Returns the outgoing radiance towards the
+// viewer for light arriving from l
+fn surface_brdf(s: Surface, l: float3) -> float3 {
+    let h = normalize(l + s.v);
+    let n_dot_l = clamp(dot(s.n, l), 0.0, 1.0);
+    let n_dot_v = clamp(abs(dot(s.n, s.v)), 0.0001, 1.0);
+    let n_dot_h = clamp(dot(s.n, h), 0.0, 1.0);
+    let v_dot_h = clamp(dot(s.v, h), 0.0, 1.0);
+
+    let fresnel = fresnel_schlick(s.f0, s.f90, v_dot_h);
+    let alpha = s.roughness * s.roughness;
+    let f_diffuse = (1.0 - fresnel) * s.c_diff / PI;
+    let f_specular = fresnel * ggx_dv(n_dot_l, n_dot_v, n_dot_h, alpha);
+    var color = (f_diffuse + f_specular) * n_dot_l;
+
+#ifdef HAS_SHEEN
+    let sheen = s.sheen_color * sheen_dv(n_dot_l, n_dot_v, n_dot_h, sheen_alpha(s));
+    color = color * sheen_albedo_scaling(s, n_dot_v) + sheen * n_dot_l;
+#endif
+
+#ifdef HAS_CLEARCOAT
+    // The clearcoat is a dielectric layer with an IOR of 1.5
+    let cc_n_dot_l = clamp(dot(s.clearcoat_n, l), 0.0, 1.0);
+    let cc_n_dot_v = clamp(abs(dot(s.clearcoat_n, s.v)), 0.0001, 1.0);
+    let cc_n_dot_h = clamp(dot(s.clearcoat_n, h), 0.0, 1.0);
+    let cc_alpha = s.clearcoat_roughness * s.clearcoat_roughness;
+    let cc_fresnel = fresnel_schlick(float3(0.04), 1.0, v_dot_h).x;
+    let clearcoat = cc_fresnel * ggx_dv(cc_n_dot_l, cc_n_dot_v, cc_n_dot_h, cc_alpha) * cc_n_dot_l;
+    let cc_transmitted = 1.0 - s.clearcoat * fresnel_schlick(float3(0.04), 1.0, cc_n_dot_v).x;
+    color = color * cc_transmitted + s.clearcoat * clearcoat;
+#endif
+    return color;
+}
+
+// Rotate a world space direction into the environment's space
+fn environment_dir(d: float3) -> float3 {
+    let c = environment_params.rotation_cos;
+    let s = environment_params.rotation_sin;
+    return float3(c * d.x - s * d.z, d.y, s * d.x + c * d.z);
+}
+
+// Sample the prefiltered specular map for the reflection of v about n
+fn environment_specular(n: float3, v: float3, roughness: f32) -> float3 {
+    let lod = roughness * environment_params.specular_max_lod;
+    return textureSampleLevel(specular_map, environment_sampler,
+        environment_dir(reflect(-v, n)), lod).rgb;
+}
+
+// Image based lighting from the environment using the split sum approximation,
+// with the multiple scattering energy compensation used by the glTF sample viewer
+fn environment_lighting(s: Surface) -> float3 {
+    let n_dot_v = clamp(dot(s.n, s.v), 0.0001, 1.0);
+    let specular_light = environment_specular(s.n, s.v, s.roughness);
+    let irradiance = textureSampleLevel(irradiance_map, environment_sampler,
+        environment_dir(s.n), 0.0).rgb;
+    let brdf_lut_value = textureSampleLevel(brdf_lut, environment_sampler,
+        float2(n_dot_v, s.roughness), 0.0);
+    let brdf_ab = brdf_lut_value.rg;
+
+    // Roughness dependent fresnel
+    let fr = max(float3(1.0 - s.roughness), s.f0) - s.f0;
+    let k_s = s.f0 + fr * pow(1.0 - n_dot_v, 5.0);
+    let fss_ess = k_s * brdf_ab.x + s.f90 * brdf_ab.y;
+
+    let ems = 1.0 - (brdf_ab.x + brdf_ab.y);
+    let f_avg = s.f0 + (1.0 - s.f0) / 21.0;
+    let fms_ems = ems * fss_ess * f_avg / (1.0 - f_avg * ems);
+    let k_d = s.c_diff * (1.0 - fss_ess + fms_ems);
+
+    var radiance = specular_light * fss_ess + (fms_ems + k_d) * irradiance;
+
+#ifdef HAS_SHEEN
+    // The sheen lobe is wide, so we approximate the light it reflects using the
+    // irradiance map scaled by the sheen's directional albedo
+    let sheen_albedo = textureSampleLevel(brdf_lut, environment_sampler,
+        float2(n_dot_v, max(s.sheen_roughness, 0.07)), 0.0).b;
+    radiance = radiance * sheen_albedo_scaling(s, n_dot_v)
+        + s.sheen_color * sheen_albedo * irradiance;
+#endif
+
+#ifdef HAS_CLEARCOAT
+    let cc_n_dot_v = clamp(dot(s.clearcoat_n, s.v), 0.0001, 1.0);
+    let cc_brdf = textureSampleLevel(brdf_lut, environment_sampler,
+        float2(cc_n_dot_v, s.clearcoat_roughness), 0.0).rg;
+    let clearcoat = environment_specular(s.clearcoat_n, s.v, s.clearcoat_roughness)
+        * (0.04 * cc_brdf.x + cc_brdf.y);
+    let cc_transmitted = 1.0 - s.clearcoat * fresnel_schlick(float3(0.04), 1.0, cc_n_dot_v).x;
+    radiance = radiance * cc_transmitted + s.clearcoat * clearcoat;
+#endif
+    return radiance * environment_params.intensity;
+}
+
+// Compute the direction from the surface to the light and the light's
+// intensity at the surface, following the KHR_lights_punctual spec
+fn light_incidence(light: Light, world_pos: float3, l: ptr<function, float3>) -> float3 {
+    if (light.light_type == LIGHT_DIRECTIONAL) {
+        *l = -light.direction;
+        return light.color * light.intensity;
+    }
+    let to_light = light.position - world_pos;
+    let dist = length(to_light);
+    *l = to_light / dist;
+
+    var attenuation = 1.0 / max(dist * dist, 0.0001);
+    if (light.range > 0.0) {
+        attenuation *= clamp(1.0 - pow(dist / light.range, 4.0), 0.0, 1.0);
+    }
+    if (light.light_type == LIGHT_SPOT) {
+        let scale = 1.0 / max(light.inner_cone_cos - light.outer_cone_cos, 0.001);
+        let offset = -light.outer_cone_cos * scale;
+        let spot = clamp(dot(light.direction, -*l) * scale + offset, 0.0, 1.0);
+        attenuation *= spot * spot;
+    }
+    return light.color * light.intensity * attenuation;
+}
+
+// Compute the tangent and bitangent for normal mapping. The vertex tangents are
+// used if the primitive has them, otherwise the tangent frame is computed from the
+// screen space derivatives of the position and texture coordinates
+fn tangent_frame(n: float3, tangent: float4, dx: float3, dy: float3,
+        uv_dx: float2, uv_dy: float2, t: ptr<function, float3>, b: ptr<function, float3>) {
+#ifdef HAS_TANGENTS
+    *t = normalize(tangent.xyz - n * dot(n, tangent.xyz));
+    *b = cross(n, *t) * tangent.w;
+#else
+    let det = uv_dx.x * uv_dy.y - uv_dy.x * uv_dx.y;
+    var t_ = float3(1.0, 0.0, 0.0);
+    if (abs(det) > 1e-12) {
+        t_ = (uv_dy.y * dx - uv_dx.y * dy) / det;
+    }
+    t_ = t_ - n * dot(n, t_);
+    // Fall back to an arbitrary tangent perpendicular to the normal
+    // if the texture coordinates are degenerate
+    if (dot(t_, t_) < 1e-12) {
+        t_ = cross(n, float3(0.0, 1.0, 0.0));
+        if (dot(t_, t_) < 1e-12) {
+            t_ = cross(n, float3(1.0, 0.0, 0.0));
+        }
+    }
+    *t = normalize(t_);
+    *b = cross(n, *t);
+#endif
+}
+
+// Compute the texture coordinates used to sample the texture
+fn texture_uv(in: VertexOutput, texture: u32) -> float2 {
+    let transform = material_params.texture_transforms[texture];
+    var uv = float3(in.texcoords, 1.0);
+    if (transform.tex_coord == 1u) {
+        uv = float3(in.texcoords1, 1.0);
+    }
+    return float2(dot(transform.u, uv), dot(transform.v, uv));
+}
+
 @fragment
-fn fragment_main(in: VertexOutput) -> @location(0) float4 {
+fn fragment_main(in: VertexOutput, @builtin(front_facing) front_facing: bool) -> @location(0) float4 {
+    // Use the interpolated vertex normal if the primitive has normals,
+    // otherwise compute a flat normal for the triangle. Note that the derivatives
+    // must be computed outside of non-uniform control flow
     let dx = dpdx(in.world_pos);
     let dy = dpdy(in.world_pos);
-    let n = normalize(cross(dx, dy));
-    let base_color = textureSample(base_color_texture, base_color_sampler, in.texcoords);
-    var color = material_params.base_color_factor * base_color;
+    // The derivative tangent frame is computed in the normal map's texture space
+    let normal_uv = texture_uv(in, TEXTURE_NORMAL);
+    let uv_dx = dpdx(normal_uv);
+    let uv_dy = dpdy(normal_uv);
+#ifdef HAS_CLEARCOAT_NORMAL_TEXTURE
+    let clearcoat_normal_uv = texture_uv(in, TEXTURE_CLEARCOAT_NORMAL);
+    let cc_uv_dx = dpdx(clearcoat_normal_uv);
+    let cc_uv_dy = dpdy(clearcoat_normal_uv);
+#endif
+    let v = normalize(view_params.camera_pos - in.world_pos);
+#ifdef HAS_NORMALS
+    var n = normalize(in.normal);
+#else
+    // The flat normal is oriented to match the triangle's winding, facing
+    // the viewer for front faces and away from it for back faces. Points and
+    // lines have no surface to compute it from, and are shaded facing the viewer
+    var n = cross(dx, dy);
+    if (dot(n, n) > 0.0) {
+        n = normalize(n);
+        if ((dot(n, v) < 0.0) == front_facing) {
+            n = -n;
+        }
+    } else {
+        n = v;
+    }
+#endif
+
+    // Back faces are only rendered for double sided materials, and are
+    // shaded using the flipped normal and tangent frame
+    if (!front_facing) {
+        n = -n;
+    }
+    let geometry_n = n;
+
+    // The tangent frame is computed for the front face and flipped with the normal
+    let face = select(-1.0, 1.0, front_facing);
+#ifdef HAS_NORMAL_TEXTURE
+    var t: float3;
+    var b: float3;
+    tangent_frame(n * face, in.tangent, dx, dy, uv_dx, uv_dy, &t, &b);
+    // Perturb the normal by the tangent space normal map
+    let normal_map = textureSample(normal_texture, normal_sampler, normal_uv).xyz * 2.0 - 1.0;
+    let scaled_normal = normal_map * float3(material_params.normal_scale, material_params.normal_scale, 1.0);
+    n = normalize(mat3x3<f32>(t * face, b * face, n) * scaled_normal);
+#endif
+
+    var base_color = material_params.base_color_factor;
+#ifdef HAS_BASE_COLOR_TEXTURE
+    base_color *= textureSample(base_color_texture, base_color_sampler,
+        texture_uv(in, TEXTURE_BASE_COLOR));
+#endif
+#ifdef HAS_VERTEX_COLORS
+    base_color *= in.color;
+#endif
+    var metallic_roughness = float4(1.0);
+#ifdef HAS_METALLIC_ROUGHNESS_TEXTURE
+    metallic_roughness = textureSample(metallic_roughness_texture, metallic_roughness_sampler,
+        texture_uv(in, TEXTURE_METALLIC_ROUGHNESS));
+#endif
+    let metallic = clamp(material_params.metallic_factor * metallic_roughness.b, 0.0, 1.0);
+    let roughness = clamp(material_params.roughness_factor * metallic_roughness.g, 0.0, 1.0);
+
+    var color = float3(0.0);
+#ifdef UNLIT
+    // Unlit materials bypass the lighting and are shaded with their base color
+    color = base_color.rgb;
+#else
+    // The dielectric reflectance is given by the IOR, and tinted and scaled by the
+    // KHR_materials_specular color and strength. Metals reflect their base color
+    var specular = material_params.specular_factor;
+#ifdef HAS_SPECULAR_TEXTURE
+    specular *= textureSample(specular_texture, specular_sampler,
+        texture_uv(in, TEXTURE_SPECULAR)).a;
+#endif
+    var specular_color = material_params.specular_color_factor;
+#ifdef HAS_SPECULAR_COLOR_TEXTURE
+    specular_color *= textureSample(specular_color_texture, specular_color_sampler,
+        texture_uv(in, TEXTURE_SPECULAR_COLOR)).rgb;
+#endif
+    let ior_f0 = pow((material_params.ior - 1.0) / (material_params.ior + 1.0), 2.0);
+    let dielectric_f0 = min(ior_f0 * specular_color, float3(1.0)) * specular;
+
+    var surface: Surface;
+    surface.n = n;
+    surface.v = v;
+    surface.c_diff = mix(base_color.rgb, float3(0.0), metallic);
+    surface.f0 = mix(dielectric_f0, base_color.rgb, metallic);
+    surface.f90 = mix(specular, 1.0, metallic);
+    surface.roughness = roughness;
+
+#ifdef HAS_CLEARCOAT
+    surface.clearcoat = material_params.clearcoat_factor;
+#ifdef HAS_CLEARCOAT_TEXTURE
+    surface.clearcoat *= textureSample(clearcoat_texture, clearcoat_sampler,
+        texture_uv(in, TEXTURE_CLEARCOAT)).r;
+#endif
+    surface.clearcoat_roughness = material_params.clearcoat_roughness_factor;
+#ifdef HAS_CLEARCOAT_ROUGHNESS_TEXTURE
+    surface.clearcoat_roughness *= textureSample(clearcoat_roughness_texture,
+        clearcoat_roughness_sampler, texture_uv(in, TEXTURE_CLEARCOAT_ROUGHNESS)).g;
+#endif
+    surface.clearcoat_roughness = clamp(surface.clearcoat_roughness, 0.0, 1.0);
+    // The clearcoat isn't affected by the base material's normal map
+    surface.clearcoat_n = geometry_n;
+#ifdef HAS_CLEARCOAT_NORMAL_TEXTURE
+    var cc_t: float3;
+    var cc_b: float3;
+    tangent_frame(geometry_n * face, in.tangent, dx, dy, cc_uv_dx, cc_uv_dy, &cc_t, &cc_b);
+    let cc_normal_map = textureSample(clearcoat_normal_texture, clearcoat_normal_sampler,
+        clearcoat_normal_uv).xyz * 2.0 - 1.0;
+    let cc_scale = material_params.clearcoat_normal_scale;
+    surface.clearcoat_n = normalize(mat3x3<f32>(cc_t * face, cc_b * face, geometry_n)
+        * (cc_normal_map * float3(cc_scale, cc_scale, 1.0)));
+#endif
+#endif
+
+#ifdef HAS_SHEEN
+    surface.sheen_color = material_params.sheen_color_factor;
+#ifdef HAS_SHEEN_COLOR_TEXTURE
+    surface.sheen_color *= textureSample(sheen_color_texture, sheen_color_sampler,
+        texture_uv(in, TEXTURE_SHEEN_COLOR)).rgb;
+#endif
+    surface.sheen_roughness = material_params.sheen_roughness_factor;
+#ifdef HAS_SHEEN_ROUGHNESS_TEXTURE
+    surface.sheen_roughness *= textureSample(sheen_roughness_texture, sheen_roughness_sampler,
+        texture_uv(in, TEXTURE_SHEEN_ROUGHNESS)).a;
+#endif
+    surface.sheen_roughness = clamp(surface.sheen_roughness, 0.0, 1.0);
+#endif
+
+    for (var i = 0u; i < lights.num_lights; i++) {
+        var l: float3;
+        let radiance = light_incidence(lights.lights[i], in.world_pos, &l);
+        color += surface_brdf(surface, l) * radiance;
+    }
+    // Scenes without lights are lit by a directional headlight
+    // shining from the camera
+    if (lights.num_lights == 0u) {
+        color = surface_brdf(surface, v) * HEADLIGHT_INTENSITY;
+    }
+
+    // Ambient occlusion only applies to the indirect lighting from the environment
+    var ao = 1.0;
+#ifdef HAS_OCCLUSION_TEXTURE
+    let occlusion = textureSample(occlusion_texture, occlusion_sampler,
+        texture_uv(in, TEXTURE_OCCLUSION)).r;
+    ao = 1.0 + material_params.occlusion_strength * (occlusion - 1.0);
+#endif
+    color += ao * environment_lighting(surface);
+
+    var emissive = material_params.emissive_factor;
+#ifdef HAS_EMISSIVE_TEXTURE
+    emissive *= textureSample(emissive_texture, emissive_sampler,
+        texture_uv(in, TEXTURE_EMISSIVE)).rgb;
+#endif
+    color += emissive;
+#endif
 
     color.x = linear_to_srgb(color.x);
     color.y = linear_to_srgb(color.y);
     color.z = linear_to_srgb(color.z);
-    color.w = 1.0;
-    return color;
+
+    // Masked fragments are discarded after all textures are sampled,
+    // as sampling requires uniform control flow
+    if (material_params.alpha_mode == ALPHA_MASK && base_color.a < material_params.alpha_cutoff) {
+        discard;
+    }
+    if (material_params.alpha_mode == ALPHA_BLEND) {
+        return float4(color, base_color.a);
+    }
+    return float4(color, 1.0);
 }
@@ -1,167 +1,524 @@
+import { vec3 } from "gl-matrix";
 import { GLTFAccessor } from "./gltf_accessor";
+import { GLTFBufferView } from "./gltf_buffer";
 import { GLTFRenderMode } from "./gltf_enums";
 import { GLTFMaterial } from "./gltf_material";
+import {
+  GLTFRenderPipelineCache,
+  getRenderPipelineCache,
+} from "./gltf_pipeline_cache";
+import { ShaderFeature } from "./gltf_shader_features";
+
+// The shader locations of the standard vertex attributes we pass to the shader.
+// These must match the VertexInput struct in gltf_prim.wgsl
+export const GLTFAttributeLocations: { [attr: string]: number } = {
+  POSITION: 0,
+  NORMAL: 1,
+  TANGENT: 2,
+  TEXCOORD_0: 3,
+  TEXCOORD_1: 4,
+  COLOR_0: 5,
+  JOINTS_0: 6,
+  WEIGHTS_0: 7,
+};
+
+// The vertex format and value we use for standard attributes that are
+// not present in the primitive. Note that a zero normal or tangent is used
+// by the shader to detect that these attributes are missing.
+const defaultAttributeValues: {
+  [attr: string]: { format: GPUVertexFormat; value: number[] };
+} = {
+  NORMAL: { format: "float32x3", value: [0, 0, 0] },
+  TANGENT: { format: "float32x4", value: [0, 0, 0, 0] },
+  TEXCOORD_0: { format: "float32x2", value: [0, 0] },
+  TEXCOORD_1: { format: "float32x2", value: [0, 0] },
+  COLOR_0: { format: "float32x4", value: [1, 1, 1, 1] },
+  // Vertices with zero skin weights are not skinned
+  JOINTS_0: { format: "uint32x4", value: [0, 0, 0, 0] },
+  WEIGHTS_0: { format: "float32x4", value: [0, 0, 0, 0] },
+};
+
+// Buffer holding the default values for each standard attribute, each
+// attribute's default value is stored at 16 * shaderLocation bytes
+const defaultAttributeBuffers = new WeakMap<GPUDevice, GPUBuffer>();
+
+function getDefaultAttributeBuffer(device: GPUDevice) {
+  let buf = defaultAttributeBuffers.get(device);
+  if (buf) {
+    return buf;
+  }
+  const numLocations = Object.keys(GLTFAttributeLocations).length;
+  buf = device.createBuffer({
+    size: numLocations * 16,
+    usage: GPUBufferUsage.VERTEX,
+    mappedAtCreation: true,
+  });
+  const values = new Float32Array(buf.getMappedRange());
+  for (let attr in defaultAttributeValues) {
+    values.set(
+      defaultAttributeValues[attr].value,
+      GLTFAttributeLocations[attr] * 4
+    );
+  }
+  buf.unmap();
+  defaultAttributeBuffers.set(device, buf);
+  return buf;
+}
+
+// A vertex buffer bound for a primitive. Interleaved attributes that share a buffer
+// view are bound through a single vertex buffer, with their offsets within the stride
+// set on each attribute
+export class GLTFVertexBuffer {
+  view: GLTFBufferView;
+  // The offset of the first element in the buffer view, passed to setVertexBuffer
+  byteOffset: number;
+  byteLength: number;
+  arrayStride: number;
+  attributes: Array<GPUVertexAttribute> = [];
+
+  constructor(view: GLTFBufferView, byteOffset: number, arrayStride: number) {
+    this.view = view;
+    this.byteOffset = byteOffset;
+    this.byteLength = 0;
+    this.arrayStride = arrayStride;
+  }
+
+  // Check if the interleaved attribute's elements fit within the stride of this buffer
+  fitsInterleaved(accessor: GLTFAccessor) {
+    const offset = accessor.byteOffset - this.byteOffset;
+    return (
+      accessor.view == this.view &&
+      accessor.byteStride == this.arrayStride &&
+      offset >= 0 &&
+      offset + accessor.vertexElementSize <= this.arrayStride
+    );
+  }
+
+  addAttribute(accessor: GLTFAccessor, shaderLocation: number) {
+    const offset = accessor.byteOffset - this.byteOffset;
+    this.attributes.push({
+      format: accessor.elementType as GPUVertexFormat,
+      offset: offset,
+      shaderLocation: shaderLocation,
+    });
+    this.byteLength = Math.max(this.byteLength, offset + accessor.byteLength);
+  }
+
+  get layout(): GPUVertexBufferLayout {
+    return { arrayStride: this.arrayStride, attributes: this.attributes };
+  }
+}
+
+// The morph target attributes we blend in the vertex shader
+const morphTargetAttributes = ["POSITION", "NORMAL", "TANGENT"];
+
+// Morph target buffer bound for primitives without morph targets
+const defaultMorphTargetsBuffers = new WeakMap<GPUDevice, GPUBuffer>();
+
+export function getDefaultMorphTargetsBuffer(device: GPUDevice) {
+  let buf = defaultMorphTargetsBuffers.get(device);
+  if (buf) {
+    return buf;
+  }
+  // Header with zero targets followed by a single (unused) delta
+  buf = device.createBuffer({
+    size: 2 * 16,
+    usage: GPUBufferUsage.STORAGE,
+  });
+  defaultMorphTargetsBuffers.set(device, buf);
+  return buf;
+}
 
 export class GLTFPrimitive {
   material: GLTFMaterial;
 
-  positions: GLTFAccessor;
+  // All vertex attributes of the primitive, keyed by their glTF
+  // attribute semantic (POSITION, NORMAL, TEXCOORD_0, _CUSTOM, etc.)
+  attributes: Map<string, GLTFAccessor>;
   indices: GLTFAccessor;
-  texcoords: GLTFAccessor;
   topology: GLTFRenderMode;
 
+  // The morph targets of the primitive, each holding the POSITION, NORMAL
+  // and/or TANGENT deltas of the target
+  targets: Array<Map<string, GLTFAccessor>>;
+  // Storage buffer holding the morph target deltas, which are blended in
+  // the vertex shader using the node's morph weights
+  morphTargetsBuf: GPUBuffer = null;
+
+  // The vertex buffers bound for the attributes, in vertex buffer slot order.
+  // Custom attributes are kept in attributes but are not passed to the shader
+  vertexBuffers: Array<GLTFVertexBuffer> = [];
+  // Whether the default attribute buffer is bound after the vertexBuffers,
+  // to fill in standard attributes the primitive doesn't have
+  usesDefaultAttributes: boolean = false;
+  defaultAttributeBuffer: GPUBuffer = null;
+
+  // The object space bounding box of the primitive's positions
+  boundsMin: vec3 = vec3.create();
+  boundsMax: vec3 = vec3.create();
+
+  // The variant of gltf_prim.wgsl for the primitive's shader features. Compiling
+  // the shader is part of uploading the document, so that parsing the file
+  // doesn't depend on the shader source
+  shaderModule: GPUShaderModule = null;
   renderPipeline: GPURenderPipeline;
+  // The pipeline used when the primitive is rendered by a node whose transform
+  // mirrors the geometry, which reverses the winding order of the triangles.
+  // Few primitives are mirrored, so this is created the first time it's used
+  // from the primitive's pipeline descriptor
+  mirroredRenderPipeline: GPURenderPipeline;
+  pipelineDesc: GPURenderPipelineDescriptor = null;
+  pipelineCache: GLTFRenderPipelineCache = null;
 
   constructor(
     material: GLTFMaterial,
-    positions: GLTFAccessor,
+    attributes: Map<string, GLTFAccessor>,
     indices: GLTFAccessor,
-    texcoords: GLTFAccessor,
-    topology: GLTFRenderMode
+    topology: GLTFRenderMode,
+    targets: Array<Map<string, GLTFAccessor>> = []
   ) {
     this.material = material;
 
-    this.positions = positions;
+    this.attributes = attributes;
     this.indices = indices;
-    this.texcoords = texcoords;
     this.topology = topology;
+    this.targets = targets;
     this.renderPipeline = null;
+    this.mirroredRenderPipeline = null;
 
-    this.positions.view.needsUpload = true;
-    this.positions.view.addUsage(GPUBufferUsage.VERTEX);
+    if (!this.attributes.has("POSITION")) {
+      throw Error("Primitive is missing the required POSITION attribute");
+    }
+    this.computeBounds();
 
+    for (let [attr, accessor] of this.attributes) {
+      if (attr in GLTFAttributeLocations) {
+        // All the standard attributes except the joint indices are read as floats
+        // in the shader, if the data can't be read as a float vertex format (e.g.,
+        // non-normalized quantized data), we convert it to float32. COLOR_0 is read
+        // as a vec4, so we can't read the padding of a vec3 color as a 4 component format.
+        // Joint indices are unsigned byte or short vec4s, which are read as u32 vec4s
+        if (
+          attr != "JOINTS_0" &&
+          !accessor.canUseAsFloatVertexAttribute(attr != "COLOR_0")
+        ) {
+          accessor = accessor.asFloat32();
+          this.attributes.set(attr, accessor);
+        }
+      }
+    }
+  }
+
+  // Mark the buffer views holding the primitive's vertex attributes and indices as
+  // needing to be uploaded, with the vertex and index buffer usages
+  addBufferUsages() {
+    for (let [attr, accessor] of this.attributes) {
+      if (attr in GLTFAttributeLocations) {
+        accessor.view.needsUpload = true;
+        accessor.view.addUsage(GPUBufferUsage.VERTEX);
+      }
+    }
     if (this.indices) {
       this.indices.view.needsUpload = true;
       this.indices.view.addUsage(GPUBufferUsage.INDEX);
     }
+  }
+
+  get positions() {
+    return this.attributes.get("POSITION");
+  }
+
+  // The features of the shader variant used to render the primitive,
+  // based on its attributes and material
+  get shaderFeatures() {
+    let features = this.material.shaderFeatures;
+    if (this.attributes.has("COLOR_0")) {
+      features.push(ShaderFeature.VERTEX_COLORS);
+    }
+    if (this.attributes.has("NORMAL")) {
+      features.push(ShaderFeature.NORMALS);
+    }
+    if (this.attributes.has("TANGENT")) {
+      features.push(ShaderFeature.TANGENTS);
+    }
+    return features;
+  }
+
+  // The center of the primitive's bounding box in object space
+  get center() {
+    return vec3.lerp(vec3.create(), this.boundsMin, this.boundsMax, 0.5);
+  }
 
-    if (this.texcoords) {
-      this.texcoords.view.needsUpload = true;
-      this.texcoords.view.addUsage(GPUBufferUsage.VERTEX);
+  // Compute the bounding box of the primitive's positions. The bounds are taken from
+  // the position accessor's min and max if the file gives them (as required by the
+  // spec), otherwise we find them by scanning the positions
+  computeBounds() {
+    const bounds = this.positions.floatBounds;
+    if (bounds) {
+      vec3.copy(this.boundsMin, bounds.min as vec3);
+      vec3.copy(this.boundsMax, bounds.max as vec3);
+      return;
+    }
+    const positions = this.positions.readFloat32();
+    vec3.set(this.boundsMin, Infinity, Infinity, Infinity);
+    vec3.set(this.boundsMax, -Infinity, -Infinity, -Infinity);
+    for (let i = 0; i < positions.length; i += 3) {
+      for (let j = 0; j < 3; ++j) {
+        this.boundsMin[j] = Math.min(this.boundsMin[j], positions[i + j]);
+        this.boundsMax[j] = Math.max(this.boundsMax[j], positions[i + j]);
+      }
     }
   }
 
+  // Upload the morph target deltas to a storage buffer. The buffer starts with a
+  // header containing the number of targets and vertices, followed by the
+  // position, normal and tangent deltas of each vertex, for each target
+  uploadMorphTargets(device: GPUDevice) {
+    if (this.targets.length == 0) {
+      this.morphTargetsBuf = getDefaultMorphTargetsBuffer(device);
+      return;
+    }
+    const numVertices = this.positions.count;
+    const numAttribs = morphTargetAttributes.length;
+    this.morphTargetsBuf = device.createBuffer({
+      size: 16 + this.targets.length * numVertices * numAttribs * 16,
+      usage: GPUBufferUsage.STORAGE,
+      mappedAtCreation: true,
+    });
+    const mapping = this.morphTargetsBuf.getMappedRange();
+    new Uint32Array(mapping, 0, 2).set([this.targets.length, numVertices]);
+    let deltas = new Float32Array(mapping, 16);
+    for (let t = 0; t < this.targets.length; ++t) {
+      for (let a = 0; a < numAttribs; ++a) {
+        const accessor = this.targets[t].get(morphTargetAttributes[a]);
+        if (!accessor) {
+          continue;
+        }
+        // Tangent deltas are vec3s, the w component is not morphed
+        const values = accessor.readFloat32();
+        for (let v = 0; v < numVertices; ++v) {
+          const offset = ((t * numVertices + v) * numAttribs + a) * 4;
+          deltas.set(values.subarray(v * 3, v * 3 + 3), offset);
+        }
+      }
+    }
+    this.morphTargetsBuf.unmap();
+  }
+
   buildRenderPipeline(
     device: GPUDevice,
-    shaderModule: GPUShaderModule,
     colorFormat: GPUTextureFormat,
     depthFormat: GPUTextureFormat,
     bindGroupLayouts: Array<GPUBindGroupLayout>
   ) {
-    let vertexBuffers: GPUVertexBufferLayout[] = [
-      {
-        arrayStride: this.positions.byteStride,
-        attributes: [
-          // Note: We do not pass the positions.byteOffset here, as its
-          // meaning can vary in different glB files, i.e., if it's being used
-          // for an interleaved element offset or an absolute offset.
-          //
-          // Setting the offset here for the attribute requires it to be <= byteStride,
-          // as would be the case for an interleaved vertex buffer.
-          //
-          // Offsets for interleaved elements can be passed here if we find
-          // a single buffer is being referenced by multiple attributes and
-          // the offsets fit within the byteStride. For simplicity we do not
-          // detect this case right now, and just take each buffer independently
-          // and apply the offst (per-element or absolute) in setVertexBuffer.
-          {
-            format: this.positions.elementType as GPUVertexFormat,
-            offset: 0,
-            shaderLocation: 0,
-          },
-        ],
-      },
-    ];
-    if (this.texcoords) {
+    // Upload the morph targets the first time we build the pipeline. Primitives can
+    // be rendered by multiple nodes, which all share the same morph target data
+    if (!this.morphTargetsBuf) {
+      this.uploadMorphTargets(device);
+    }
+
+    // Attributes that are interleaved in the same buffer view are bound as a single
+    // vertex buffer, with each attribute's offset within the stride passed in the
+    // attribute. The offset of the first element is applied in setVertexBuffer.
+    //
+    // Attributes in separate buffer views (or sharing a view without a byteStride)
+    // are bound as separate vertex buffers, with the accessor's byteOffset
+    // applied in setVertexBuffer.
+    let accessors = [];
+    for (let attr in GLTFAttributeLocations) {
+      if (this.attributes.has(attr)) {
+        accessors.push({
+          accessor: this.attributes.get(attr),
+          location: GLTFAttributeLocations[attr],
+        });
+      }
+    }
+    // Sort by offset so that the first attribute of each interleaved group
+    // gives the offset of the group's first element
+    accessors.sort((a, b) => a.accessor.byteOffset - b.accessor.byteOffset);
+
+    this.vertexBuffers = [];
+    for (let a of accessors) {
+      let vb = null;
+      if (a.accessor.view.byteStride > 0) {
+        vb = this.vertexBuffers.find((vb) => vb.fitsInterleaved(a.accessor));
+      }
+      if (!vb) {
+        vb = new GLTFVertexBuffer(
+          a.accessor.view,
+          a.accessor.byteOffset,
+          a.accessor.byteStride
+        );
+        this.vertexBuffers.push(vb);
+      }
+      vb.addAttribute(a.accessor, a.location);
+    }
+    // Points are drawn as a quad per point, with each point's attributes
+    // read per instance
+    const isPoints = this.topology == GLTFRenderMode.POINTS;
+    const stepMode: GPUVertexStepMode = isPoints ? "instance" : "vertex";
+    let vertexBuffers: GPUVertexBufferLayout[] = this.vertexBuffers.map(
+      (vb) => ({ ...vb.layout, stepMode: stepMode })
+    );
+
+    // Standard attributes missing from the primitive are read from a single
+    // buffer holding their default values with an array stride of 0, so
+    // that each vertex reads the same value
+    let defaultAttributes: GPUVertexAttribute[] = [];
+    for (let attr in defaultAttributeValues) {
+      if (!this.attributes.has(attr)) {
+        defaultAttributes.push({
+          format: defaultAttributeValues[attr].format,
+          offset: GLTFAttributeLocations[attr] * 16,
+          shaderLocation: GLTFAttributeLocations[attr],
+        });
+      }
+    }
+    this.usesDefaultAttributes = defaultAttributes.length > 0;
+    if (this.usesDefaultAttributes) {
       vertexBuffers.push({
-        arrayStride: this.texcoords.byteStride,
-        attributes: [
-          {
-            format: this.texcoords.elementType as GPUVertexFormat,
-            offset: 0,
-            shaderLocation: 1,
-          },
-        ],
+        arrayStride: 0,
+        stepMode: stepMode,
+        attributes: defaultAttributes,
       });
+      this.defaultAttributeBuffer = getDefaultAttributeBuffer(device);
     }
-    console.log(vertexBuffers);
 
     // Vertex attribute state and shader stage
     let vertexState = {
       // Shader stage info
-      module: shaderModule,
-      entryPoint: "vertex_main",
+      module: this.shaderModule,
+      entryPoint: isPoints ? "vertex_points" : "vertex_main",
       // Vertex buffer info
       buffers: vertexBuffers,
     };
 
+    // Blended materials are composited over the opaque geometry using
+    // the alpha of the base color
+    let colorTarget: GPUColorTargetState = { format: colorFormat };
+    if (this.material.isBlended) {
+      colorTarget.blend = {
+        color: {
+          srcFactor: "src-alpha",
+          dstFactor: "one-minus-src-alpha",
+        },
+        alpha: {
+          srcFactor: "one",
+          dstFactor: "one-minus-src-alpha",
+        },
+      };
+    }
     let fragmentState = {
       // Shader info
-      module: shaderModule,
+      module: this.shaderModule,
       entryPoint: "fragment_main",
       // Output render target info
-      targets: [{ format: colorFormat }],
+      targets: [colorTarget],
     };
 
-    // Our loader only supports triangle lists and strips, so by default we set
-    // the primitive topology to triangle list, and check if it's instead a triangle strip
-    let primitive = null;
-    if (this.topology == GLTFRenderMode.TRIANGLE_STRIP) {
-      primitive = {
-        topology: "triangle-strip",
-        stripIndexFormat: this.indices.elementType as GPUIndexFormat,
-      };
-    } else {
-      primitive = { topology: "triangle-list" };
+    // Line loops and triangle fans are converted to lists by the loader,
+    // and the point quads are drawn as triangle lists
+    let primitive: GPUPrimitiveState = null;
+    switch (this.topology) {
+      case GLTFRenderMode.POINTS:
+      case GLTFRenderMode.TRIANGLES:
+        primitive = { topology: "triangle-list" };
+        break;
+      case GLTFRenderMode.LINE:
+        primitive = { topology: "line-list" };
+        break;
+      case GLTFRenderMode.LINE_STRIP:
+        primitive = { topology: "line-strip" };
+        break;
+      case GLTFRenderMode.TRIANGLE_STRIP:
+        primitive = { topology: "triangle-strip" };
+        break;
+      default:
+        throw Error(`Unsupported primitive topology ${this.topology}`);
+    }
+    if (primitive.topology.endsWith("strip") && this.indices) {
+      primitive.stripIndexFormat = this.indices.elementType as GPUIndexFormat;
+    }
+    // Back faces are culled unless the material is double sided. Point quads
+    // are always drawn facing the camera
+    if (!this.material.doubleSided && !isPoints) {
+      primitive.cullMode = "back";
     }
 
-    // Add the material bind group layout
-    bindGroupLayouts.push(this.material.bindGroupLayout);
+    // Primitives with the same vertex layout, topology, material bind group layout
+    // and output formats share their pipeline through the cache
+    const cache = getRenderPipelineCache(device);
 
-    let layout = device.createPipelineLayout({
-      bindGroupLayouts: bindGroupLayouts,
-    });
+    // Add the material bind group layout, which follows the view params,
+    // node params and environment bind groups
+    let layout = cache.getPipelineLayout([
+      ...bindGroupLayouts,
+      this.material.bindGroupLayout,
+    ]);
 
-    this.renderPipeline = device.createRenderPipeline({
+    // Blended primitives are rendered after the opaque ones, and test against
+    // their depth without writing depth, so that blended surfaces behind
+    // other blended surfaces are not hidden
+    let pipelineDesc: GPURenderPipelineDescriptor = {
       layout: layout,
       vertex: vertexState as GPUVertexState,
       fragment: fragmentState,
       primitive: primitive as GPUPrimitiveState,
       depthStencil: {
         format: depthFormat,
-        depthWriteEnabled: true,
+        depthWriteEnabled: !this.material.isBlended,
         depthCompare: "less",
       },
-    });
+    };
+    this.renderPipeline = cache.getRenderPipeline(pipelineDesc);
+    this.mirroredRenderPipeline = null;
+    this.pipelineDesc = pipelineDesc;
+    this.pipelineCache = cache;
   }
 
-  render(renderPassEncoder: GPURenderPassEncoder) {
-    renderPassEncoder.setPipeline(this.renderPipeline);
-
-    renderPassEncoder.setBindGroup(2, this.material.bindGroup);
+  // Get the pipeline rendering the primitive with clockwise front faces,
+  // creating it the first time a mirrored node renders the primitive
+  getMirroredRenderPipeline() {
+    if (!this.mirroredRenderPipeline) {
+      this.mirroredRenderPipeline = this.pipelineCache.getRenderPipeline({
+        ...this.pipelineDesc,
+        primitive: { ...this.pipelineDesc.primitive, frontFace: "cw" },
+      });
+    }
+    return this.mirroredRenderPipeline;
+  }
 
-    // Apply the accessor's byteOffset here to handle both global and interleaved
-    // offsets for the buffer. Setting the offset here allows handling both cases,
-    // with the downside that we must repeatedly bind the same buffer at different
-    // offsets if we're dealing with interleaved attributes.
-    // Since we only handle positions at the moment, this isn't a problem.
-    renderPassEncoder.setVertexBuffer(
-      0,
-      this.positions.view.gpuBuffer,
-      this.positions.byteOffset,
-      this.positions.byteLength
+  // Render the primitive. Mirrored is set for nodes whose transform has
+  // a negative determinant, which flips the primitive's front faces
+  render(renderPassEncoder: GPURenderPassEncoder, mirrored: boolean) {
+    renderPassEncoder.setPipeline(
+      mirrored ? this.getMirroredRenderPipeline() : this.renderPipeline
     );
 
-    if (this.texcoords) {
+    renderPassEncoder.setBindGroup(3, this.material.bindGroup);
+
+    // Bind the vertex buffers at the offset of their first element, interleaved
+    // attributes share a single vertex buffer binding
+    for (let i = 0; i < this.vertexBuffers.length; ++i) {
+      const vb = this.vertexBuffers[i];
       renderPassEncoder.setVertexBuffer(
-        1,
-        this.texcoords.view.gpuBuffer,
-        this.texcoords.byteOffset,
-        this.texcoords.byteLength
+        i,
+        vb.view.gpuBuffer,
+        vb.byteOffset,
+        vb.byteLength
+      );
+    }
+    if (this.usesDefaultAttributes) {
+      renderPassEncoder.setVertexBuffer(
+        this.vertexBuffers.length,
+        this.defaultAttributeBuffer
       );
     }
 
-    if (this.indices) {
+    if (this.topology == GLTFRenderMode.POINTS) {
+      // Draw a quad (two triangles) for each point
+      renderPassEncoder.draw(6, this.positions.count);
+    } else if (this.indices) {
       renderPassEncoder.setIndexBuffer(
         this.indices.view.gpuBuffer,
         this.indices.elementType as GPUIndexFormat,
@@ -0,0 +1,85 @@
+import primShaderCode from "./gltf_prim.wgsl";
+import { ShaderFeature } from "./gltf_shader_features";
+
+// Apply the #ifdef, #ifndef, #else and #endif directives in the WGSL source for
+// the set of defines. Blocks can be nested, and the lines removed by the
+// directives are replaced by blank lines so that the line numbers in
+// compilation messages match the original source
+export function preprocessShader(source: string, defines: Set<string>) {
+  let lines = source.split("\n");
+  // For each open block, whether its lines are included
+  let included: Array<boolean> = [];
+  const isActive = () => included.every((inc) => inc);
+  for (let i = 0; i < lines.length; ++i) {
+    const directive = lines[i]
+      .trim()
+      .match(/^#(ifdef|ifndef|else|endif)\b\s*(\w*)/);
+    if (directive) {
+      switch (directive[1]) {
+        case "ifdef":
+          included.push(defines.has(directive[2]));
+          break;
+        case "ifndef":
+          included.push(!defines.has(directive[2]));
+          break;
+        case "else":
+          if (included.length == 0) {
+            throw Error(`Shader line ${i + 1}: #else without #ifdef`);
+          }
+          included.push(!included.pop());
+          break;
+        case "endif":
+          if (included.length == 0) {
+            throw Error(`Shader line ${i + 1}: #endif without #ifdef`);
+          }
+          included.pop();
+          break;
+      }
+      lines[i] = "";
+    } else if (!isActive()) {
+      lines[i] = "";
+    }
+  }
+  if (included.length > 0) {
+    throw Error("Shader has an #ifdef without a matching #endif");
+  }
+  return lines.join("\n");
+}
+
+// The compiled variants of gltf_prim.wgsl, keyed by their sorted features
+const shaderModules = new WeakMap<GPUDevice, Map<string, GPUShaderModule>>();
+
+// Get the shader module for the variant of gltf_prim.wgsl with the
+// given features, compiling it the first time it's used
+export function getShaderModule(
+  device: GPUDevice,
+  features: Array<ShaderFeature>
+) {
+  let modules = shaderModules.get(device);
+  if (!modules) {
+    modules = new Map();
+    shaderModules.set(device, modules);
+  }
+  const key = [...new Set(features)].sort().join(",");
+  let shaderModule = modules.get(key);
+  if (!shaderModule) {
+    shaderModule = device.createShaderModule({
+      label: `gltf_prim.wgsl [${key}]`,
+      code: preprocessShader(primShaderCode, new Set<string>(features)),
+    });
+    // Compilation errors are reported when the pipelines using the module are
+    // created, we also log the warnings and errors to help debug them
+    shaderModule.getCompilationInfo().then((info) => {
+      for (let msg of info.messages) {
+        const log = `gltf_prim.wgsl [${key}] ${msg.lineNum}:${msg.linePos} - ${msg.message}`;
+        if (msg.type == "error") {
+          console.error(log);
+        } else if (msg.type == "warning") {
+          console.warn(log);
+        }
+      }
+    });
+    modules.set(key, shaderModule);
+  }
+  return shaderModule;
+}
@@ -0,0 +1,24 @@
+// The features a variant of gltf_prim.wgsl can be built with. Each feature is
+// passed to the shader as a define of the same name
+export enum ShaderFeature {
+  BASE_COLOR_TEXTURE = "HAS_BASE_COLOR_TEXTURE",
+  METALLIC_ROUGHNESS_TEXTURE = "HAS_METALLIC_ROUGHNESS_TEXTURE",
+  NORMAL_TEXTURE = "HAS_NORMAL_TEXTURE",
+  OCCLUSION_TEXTURE = "HAS_OCCLUSION_TEXTURE",
+  EMISSIVE_TEXTURE = "HAS_EMISSIVE_TEXTURE",
+  SPECULAR_TEXTURE = "HAS_SPECULAR_TEXTURE",
+  SPECULAR_COLOR_TEXTURE = "HAS_SPECULAR_COLOR_TEXTURE",
+  CLEARCOAT_TEXTURE = "HAS_CLEARCOAT_TEXTURE",
+  CLEARCOAT_ROUGHNESS_TEXTURE = "HAS_CLEARCOAT_ROUGHNESS_TEXTURE",
+  CLEARCOAT_NORMAL_TEXTURE = "HAS_CLEARCOAT_NORMAL_TEXTURE",
+  SHEEN_COLOR_TEXTURE = "HAS_SHEEN_COLOR_TEXTURE",
+  SHEEN_ROUGHNESS_TEXTURE = "HAS_SHEEN_ROUGHNESS_TEXTURE",
+  // Material layers from the KHR_materials_clearcoat and KHR_materials_sheen
+  // extensions, and unlit shading for KHR_materials_unlit
+  CLEARCOAT = "HAS_CLEARCOAT",
+  SHEEN = "HAS_SHEEN",
+  UNLIT = "UNLIT",
+  VERTEX_COLORS = "HAS_VERTEX_COLORS",
+  NORMALS = "HAS_NORMALS",
+  TANGENTS = "HAS_TANGENTS",
+}
@@ -0,0 +1,77 @@
+import { mat4 } from "gl-matrix";
+import { GLTFNode } from "./gltf_mesh";
+
+// A skin binds a mesh to a skeleton of joint nodes. Each frame the joint matrices,
+// which transform vertices from the mesh's bind pose to the joints' current pose, are
+// computed from the joint node transforms and uploaded to a storage buffer that is
+// read by the vertex shader
+export class GLTFSkin {
+  name: string;
+  joints: Array<GLTFNode>;
+  // The inverse bind matrices for each joint, packed as 16 floats per joint
+  inverseBindMatrices: Float32Array;
+
+  jointMatrices = new Float32Array(0);
+  jointMatricesBuf: GPUBuffer = null;
+
+  constructor(
+    name: string,
+    joints: Array<GLTFNode>,
+    inverseBindMatrices: Float32Array | null
+  ) {
+    this.name = name;
+    this.joints = joints;
+    // If no inverse bind matrices are given they are identity matrices
+    if (!inverseBindMatrices) {
+      inverseBindMatrices = new Float32Array(16 * joints.length);
+      for (let i = 0; i < joints.length; ++i) {
+        inverseBindMatrices.set(mat4.create(), i * 16);
+      }
+    }
+    this.inverseBindMatrices = inverseBindMatrices;
+    this.jointMatrices = new Float32Array(16 * joints.length);
+  }
+
+  // Compute the joint matrices from the current world space joint transforms.
+  // The skinned vertices are output directly in world space, so we don't
+  // need to apply the inverse of the skinned mesh node's transform here
+  updateJointMatrices() {
+    for (let i = 0; i < this.joints.length; ++i) {
+      const ibm = this.inverseBindMatrices.subarray(i * 16, i * 16 + 16);
+      const jointMatrix = this.jointMatrices.subarray(i * 16, i * 16 + 16);
+      mat4.mul(jointMatrix, this.joints[i].transform, ibm);
+    }
+  }
+
+  upload(device: GPUDevice) {
+    if (!this.jointMatricesBuf) {
+      this.jointMatricesBuf = device.createBuffer({
+        // Storage buffer bindings can't be empty
+        size: Math.max(this.jointMatrices.byteLength, 16 * 4),
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+      });
+    }
+    this.updateJointMatrices();
+    device.queue.writeBuffer(this.jointMatricesBuf, 0, this.jointMatrices);
+  }
+}
+
+// Joint matrices buffer bound for nodes that don't have a skin. The vertices of
+// these nodes have zero skin weights, so the shader doesn't use the joint matrices
+const defaultJointMatricesBuffers = new WeakMap<GPUDevice, GPUBuffer>();
+
+export function getDefaultJointMatricesBuffer(device: GPUDevice) {
+  let buf = defaultJointMatricesBuffers.get(device);
+  if (buf) {
+    return buf;
+  }
+  buf = device.createBuffer({
+    size: 16 * 4,
+    usage: GPUBufferUsage.STORAGE,
+    mappedAtCreation: true,
+  });
+  new Float32Array(buf.getMappedRange()).set(mat4.create());
+  buf.unmap();
+  defaultJointMatricesBuffers.set(device, buf);
+  return buf;
+}
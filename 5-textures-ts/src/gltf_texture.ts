@@ -1,15 +1,31 @@
+import { vec2 } from "gl-matrix";
 import { GLTFBufferView } from "./gltf_buffer";
 import {
   GLTFTextureFilter,
   GLTFTextureWrap,
   gltfAddressMode,
   gltfTextureFilterMode,
+  gltfTextureMipMapMode,
 } from "./gltf_enums";
+import { KTX2Image, transcodeKTX2 } from "./import_ktx2";
+
+// The number of mip levels in a full mip chain for a texture of the given size
+export function mipLevelCount(width: number, height: number) {
+  return Math.floor(Math.log2(Math.max(width, height))) + 1;
+}
+
+// The maximum anisotropy used by samplers that filter linearly
+// between texels and mip levels
+const defaultMaxAnisotropy = 8;
 
 // Defines how to sample an image
 export class GLTFSampler {
   magFilter: GPUFilterMode = "linear";
   minFilter: GPUFilterMode = "linear";
+  mipmapFilter: GPUMipmapFilterMode = "linear";
+  // Whether the min filter samples from the mip levels of the texture, the
+  // NEAREST and LINEAR min filters only sample the top level
+  useMipmaps: boolean = true;
 
   wrapU: GPUAddressMode = "repeat";
   wrapV: GPUAddressMode = "repeat";
@@ -22,18 +38,42 @@ export class GLTFSampler {
     wrapU: GLTFTextureWrap,
     wrapV: GLTFTextureWrap
   ) {
-    this.magFilter = gltfTextureFilterMode(magFilter);
-    this.minFilter = gltfTextureFilterMode(minFilter);
-
-    this.wrapU = gltfAddressMode(wrapU);
-    this.wrapV = gltfAddressMode(wrapV);
+    // Filters and wrap modes are optional in glTF, if they're not
+    // specified we use trilinear filtering and repeat
+    if (magFilter !== undefined) {
+      this.magFilter = gltfTextureFilterMode(magFilter);
+    }
+    if (minFilter !== undefined) {
+      this.minFilter = gltfTextureFilterMode(minFilter);
+      this.mipmapFilter = gltfTextureMipMapMode(minFilter);
+      this.useMipmaps =
+        minFilter != GLTFTextureFilter.NEAREST &&
+        minFilter != GLTFTextureFilter.LINEAR;
+    }
+    if (wrapU !== undefined) {
+      this.wrapU = gltfAddressMode(wrapU);
+    }
+    if (wrapV !== undefined) {
+      this.wrapV = gltfAddressMode(wrapV);
+    }
   }
 
-  // Create the GPU sampler
-  create(device: GPUDevice) {
+  // Create the GPU sampler. Anisotropic filtering is only enabled for samplers
+  // that filter linearly between texels and mip levels, since WebGPU
+  // requires all filters to be linear when using anisotropy
+  create(device: GPUDevice, maxAnisotropy: number = defaultMaxAnisotropy) {
+    const isTrilinear =
+      this.magFilter == "linear" &&
+      this.minFilter == "linear" &&
+      this.mipmapFilter == "linear" &&
+      this.useMipmaps;
     this.sampler = device.createSampler({
       magFilter: this.magFilter,
       minFilter: this.minFilter,
+      mipmapFilter: this.mipmapFilter,
+      // Clamping the LOD to 0 restricts sampling to the top level
+      lodMaxClamp: this.useMipmaps ? 32 : 0,
+      maxAnisotropy: isTrilinear ? Math.max(1, Math.floor(maxAnisotropy)) : 1,
       addressModeU: this.wrapU,
       addressModeV: this.wrapV,
     });
@@ -46,50 +86,118 @@ export enum ImageUsage {
   NORMAL,
   OCCLUSION,
   EMISSION,
+  SPECULAR,
+  SPECULAR_COLOR,
+  CLEARCOAT,
+  CLEARCOAT_ROUGHNESS,
+  CLEARCOAT_NORMAL,
+  SHEEN_COLOR,
+  SHEEN_ROUGHNESS,
 }
 
-// Stores the image data texture for an image in the file
+// Whether the image data for the usage holds colors, which are stored in sRGB,
+// or other data such as normals or roughness, which is stored linearly
+function isSRGBUsage(usage: ImageUsage) {
+  switch (usage) {
+    case ImageUsage.BASE_COLOR:
+    case ImageUsage.EMISSION:
+    case ImageUsage.SPECULAR_COLOR:
+    case ImageUsage.SHEEN_COLOR:
+      return true;
+    default:
+      return false;
+  }
+}
+
+// Stores the image data texture for an image in the file. The image data is kept
+// encoded when the file is parsed, and when uploading it's either decoded by the
+// browser or, for KTX2 images, transcoded to a GPU format
 export class GLTFImage {
-  bitmap: ImageBitmap;
+  mimeType: string;
+  data: Uint8Array;
+
+  bitmap: ImageBitmap = null;
+  ktx2: KTX2Image = null;
 
-  // How the texture is used in the materials
-  // referencing it
-  usage: ImageUsage = ImageUsage.BASE_COLOR;
+  // How the texture is used in the materials referencing it. An image can be
+  // shared by usages that interpret its data in different color spaces
+  usages: Set<ImageUsage> = new Set();
 
-  image: GPUTexture = null;
-  view: GPUTextureView = null;
+  // The image is uploaded once for each color space it's used in, only
+  // the views for the color spaces the materials use are created
+  srgbImage: GPUTexture = null;
+  srgbView: GPUTextureView = null;
+  linearImage: GPUTexture = null;
+  linearView: GPUTextureView = null;
 
-  constructor(bitmap: ImageBitmap) {
-    this.bitmap = bitmap;
+  constructor(mimeType: string, data: Uint8Array) {
+    this.mimeType = mimeType;
+    this.data = data;
   }
 
-  // Set the usage mode for the image
-  setUsage(usage: ImageUsage) {
-    this.usage = usage;
+  // Add a usage mode for the image
+  addUsage(usage: ImageUsage) {
+    this.usages.add(usage);
   }
 
-  // Upload the image to the GPU and create the view
+  // Get the view to sample the image through for the usage
+  getView(usage: ImageUsage) {
+    return isSRGBUsage(usage) ? this.srgbView : this.linearView;
+  }
+
+  // Decode the image data. KTX2 images from KHR_texture_basisu are transcoded to
+  // a format supported by the device, other images are decoded by the browser
+  async decode(device: GPUDevice) {
+    if (this.mimeType == "image/ktx2") {
+      this.ktx2 = await transcodeKTX2(device, this.data);
+    } else {
+      const blob = new Blob([this.data as BlobPart], { type: this.mimeType });
+      this.bitmap = await createImageBitmap(blob);
+    }
+  }
+
+  // Whether the rest of the mip chain must be generated from the top level after
+  // uploading. Bitmaps only have the top level, KTX2 images keep their pre-encoded
+  // mip levels. If a KTX2 file only has the top level and it was transcoded to an
+  // uncompressed format we generate the rest of its mip chain. Compressed formats
+  // can't be rendered to, so these are left with just the top level
+  get needsMipmaps() {
+    return (
+      !this.ktx2 || (this.ktx2.levels.length == 1 && !this.ktx2.isCompressed)
+    );
+  }
+
+  // Upload the decoded image to the GPU for each color space it's used in and
+  // create the views. Images not referenced by any material are treated as color
+  // images. If needsMipmaps is set, the textures are created with a full mip chain
+  // holding just the top level, and the uploader generates the other levels
   upload(device: GPUDevice) {
-    let format: GPUTextureFormat = "rgba8unorm-srgb";
-    switch (this.usage) {
-      case ImageUsage.BASE_COLOR:
-        format = "rgba8unorm-srgb";
-        break;
-      case ImageUsage.METALLIC_ROUGHNESS:
-        format = "rgba8unorm";
-        break;
-      case ImageUsage.NORMAL:
-      case ImageUsage.OCCLUSION:
-      case ImageUsage.EMISSION:
-        throw new Error("Unhandled image format for now, TODO!");
+    const usages = Array.from(this.usages);
+    if (usages.length == 0 || usages.some(isSRGBUsage)) {
+      this.srgbImage = this.uploadImage(device, true);
+      this.srgbView = this.srgbImage.createView();
+    }
+    if (usages.some((u) => !isSRGBUsage(u))) {
+      this.linearImage = this.uploadImage(device, false);
+      this.linearView = this.linearImage.createView();
     }
+  }
 
+  uploadImage(device: GPUDevice, srgb: boolean) {
+    if (this.ktx2) {
+      return this.uploadKTX2(device, srgb);
+    }
+    return this.uploadBitmap(device, srgb ? "rgba8unorm-srgb" : "rgba8unorm");
+  }
+
+  uploadBitmap(device: GPUDevice, format: GPUTextureFormat) {
     const imgSize = [this.bitmap.width, this.bitmap.height, 1];
-    this.image = device.createTexture({
+    const image = device.createTexture({
       size: imgSize,
       format: format,
+      mipLevelCount: mipLevelCount(this.bitmap.width, this.bitmap.height),
       // Note: the render attachment usage is required for copyExternalImageToTexture,
-      // we aren't going to actually render to these images ourselves
+      // and to render the mip levels when generating the mip chain
       usage:
         GPUTextureUsage.TEXTURE_BINDING |
         GPUTextureUsage.COPY_DST |
@@ -98,11 +206,31 @@ export class GLTFImage {
 
     device.queue.copyExternalImageToTexture(
       { source: this.bitmap },
-      { texture: this.image },
+      { texture: image },
       imgSize
     );
+    return image;
+  }
 
-    this.view = this.image.createView();
+  // Upload the transcoded KTX2 image with its pre-encoded mip levels
+  uploadKTX2(device: GPUDevice, srgb: boolean) {
+    const generateMips = this.needsMipmaps;
+    let usage = GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST;
+    if (generateMips) {
+      usage |= GPUTextureUsage.RENDER_ATTACHMENT;
+    }
+    const image = device.createTexture({
+      size: [this.ktx2.width, this.ktx2.height, 1],
+      format: (srgb
+        ? `${this.ktx2.format}-srgb`
+        : this.ktx2.format) as GPUTextureFormat,
+      mipLevelCount: generateMips
+        ? mipLevelCount(this.ktx2.width, this.ktx2.height)
+        : this.ktx2.levels.length,
+      usage: usage,
+    });
+    this.ktx2.upload(device, image);
+    return image;
   }
 }
 
@@ -116,8 +244,43 @@ export class GLTFTexture {
     this.image = image;
   }
 
-  // Set the texture's image usage flag
-  setUsage(usage: ImageUsage) {
-    this.image.setUsage(usage);
+  // Add a usage flag to the texture's image
+  addUsage(usage: ImageUsage) {
+    this.image.addUsage(usage);
+  }
+}
+
+// A material's reference to a texture, selecting the texture coordinate set used
+// to sample it and the KHR_texture_transform applied to the texture coordinates
+export class GLTFTextureInfo {
+  texture: GLTFTexture;
+  // The index of the TEXCOORD_n attribute used, 0 or 1
+  texCoord: number = 0;
+
+  offset: vec2 = [0, 0];
+  // Rotation of the texture coordinates in radians, counter-clockwise
+  rotation: number = 0;
+  scale: vec2 = [1, 1];
+
+  constructor(texture: GLTFTexture, texCoord: number) {
+    this.texture = texture;
+    this.texCoord = texCoord;
+  }
+
+  setTransform(offset: vec2, rotation: number, scale: vec2) {
+    this.offset = offset;
+    this.rotation = rotation;
+    this.scale = scale;
+  }
+
+  // The first two rows of the 3x3 texture coordinate transform, which is
+  // the offset * rotation * scale matrix given in the KHR_texture_transform spec
+  get transformRows() {
+    const c = Math.cos(this.rotation);
+    const s = Math.sin(this.rotation);
+    return [
+      [c * this.scale[0], s * this.scale[1], this.offset[0]],
+      [-s * this.scale[0], c * this.scale[1], this.offset[1]],
+    ];
   }
 }
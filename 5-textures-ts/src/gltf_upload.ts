@@ -0,0 +1,88 @@
+import { GLTFBufferView } from "./gltf_buffer";
+import { GLTFDocument } from "./gltf_document";
+import { GLTFMaterial } from "./gltf_material";
+import { generateMipmaps } from "./gltf_mipmaps";
+import { getShaderModule } from "./gltf_shader";
+import { GLTFImage, GLTFSampler } from "./gltf_texture";
+import { GLTFURIResolver, noExternalResolver } from "./gltf_uri_resolver";
+import { parseGLB, parseGLTF } from "./import_glb";
+import { loadDracoDecoder } from "./import_draco_decoder";
+
+// Upload the GPU resources of a parsed document: the vertex and index buffers of
+// its meshes, its images, samplers and materials, and compile the shaders for its
+// primitives. The document is returned to allow chaining it with parsing
+export async function uploadGLTFDocument(
+  gltf: GLTFDocument,
+  device: GPUDevice
+) {
+  // Upload the buffer views used by mesh. Sparse accessors and attributes converted
+  // to float32 by the primitives have their own buffer views that must be uploaded too
+  let uploadViews = new Set<GLTFBufferView>(gltf.bufferViews);
+  for (let mesh of gltf.meshes) {
+    for (let prim of mesh.primitives) {
+      prim.addBufferUsages();
+      for (let accessor of prim.attributes.values()) {
+        uploadViews.add(accessor.view);
+      }
+      if (prim.indices) {
+        uploadViews.add(prim.indices.view);
+      }
+    }
+  }
+  uploadViews.forEach((bv: GLTFBufferView) => {
+    if (bv.needsUpload) {
+      bv.upload(device);
+    }
+  });
+  // Decode and upload all images, now that we know their usage and can pick
+  // the right GPU texture format, and generate their mip chains
+  await Promise.all(gltf.images.map((img: GLTFImage) => img.decode(device)));
+  gltf.images.forEach((img: GLTFImage) => {
+    img.upload(device);
+    if (img.needsMipmaps) {
+      for (let texture of [img.srgbImage, img.linearImage]) {
+        if (texture) {
+          generateMipmaps(device, texture);
+        }
+      }
+    }
+  });
+  gltf.samplers.forEach((s: GLTFSampler) => {
+    s.create(device);
+  });
+  // Create bind groups and UBOs for materials
+  gltf.materials.forEach((mat: GLTFMaterial) => {
+    mat.upload(device);
+  });
+  // Compile the shader variant for each primitive's vertex attributes and material
+  for (let mesh of gltf.meshes) {
+    for (let prim of mesh.primitives) {
+      prim.shaderModule = getShaderModule(device, prim.shaderFeatures);
+    }
+  }
+  return gltf;
+}
+
+// Parse and upload a GLB model, returning the GLTFDocument holding its scenes
+export async function uploadGLB(
+  buffer: ArrayBuffer,
+  device: GPUDevice,
+  resolver: GLTFURIResolver = noExternalResolver
+) {
+  return uploadGLTFDocument(
+    await parseGLB(buffer, resolver, loadDracoDecoder),
+    device
+  );
+}
+
+// Parse and upload a .gltf model, returning the GLTFDocument holding its scenes
+export async function uploadGLTF(
+  json: string | any,
+  device: GPUDevice,
+  resolver: GLTFURIResolver = noExternalResolver
+) {
+  return uploadGLTFDocument(
+    await parseGLTF(json, resolver, loadDracoDecoder),
+    device
+  );
+}
@@ -0,0 +1,100 @@
+// A URI resolver takes a URI referenced by the glTF file (buffers[].uri or images[].uri)
+// and returns the contents it refers to. URIs in a glTF file are relative to the
+// .gltf file, and may be percent-encoded. Data URIs are decoded by the loader
+// before calling the resolver, so resolvers only need to handle external files.
+export type GLTFURIResolver = (uri: string) => Promise<ArrayBuffer>;
+
+// Returns true if the URI is an embedded base64 data URI
+export function isDataURI(uri: string) {
+  return uri.startsWith("data:");
+}
+
+// Get the mime type of a data URI, e.g. "image/png" for data:image/png;base64,...
+export function dataURIMimeType(uri: string) {
+  const end = uri.search(/[;,]/);
+  return uri.substring(5, end);
+}
+
+// Decode a base64 data URI to the binary data it contains
+export function decodeDataURI(uri: string) {
+  const dataStart = uri.indexOf(",");
+  if (dataStart == -1 || !isDataURI(uri)) {
+    throw Error(`Invalid data URI ${uri.substring(0, 32)}...`);
+  }
+  const header = uri.substring(0, dataStart);
+  const data = uri.substring(dataStart + 1);
+  if (!header.endsWith(";base64")) {
+    // Non-base64 data URIs are percent-encoded text
+    return new TextEncoder().encode(decodeURIComponent(data))
+      .buffer as ArrayBuffer;
+  }
+  const binary = atob(data);
+  let bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; ++i) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+// Guess the image mime type from the file extension of a URI. The mime type is only
+// a hint for image decoding, so we don't need to be exhaustive here.
+export function guessImageMimeType(uri: string) {
+  const ext = uri.split(/[?#]/)[0].split(".").pop().toLowerCase();
+  switch (ext) {
+    case "png":
+      return "image/png";
+    case "jpg":
+    case "jpeg":
+      return "image/jpeg";
+    case "webp":
+      return "image/webp";
+    case "ktx2":
+      return "image/ktx2";
+    default:
+      return "";
+  }
+}
+
+// Resolve URIs by fetching them relative to the base URL that the .gltf file was loaded from
+export function makeFetchResolver(baseURL: string): GLTFURIResolver {
+  return async (uri: string) => {
+    const url = new URL(uri, new URL(baseURL, document.baseURI));
+    const res = await fetch(url);
+    if (!res.ok) {
+      throw Error(`Failed to fetch ${url}: ${res.status} ${res.statusText}`);
+    }
+    return res.arrayBuffer();
+  };
+}
+
+// Resolve URIs against a set of files picked by the user, e.g. from a file input
+// with multiple files or a folder selected. Files are matched by their path relative to
+// the picked folder if available, and otherwise by their file name.
+export function makeFileMapResolver(
+  files: FileList | Array<File>
+): GLTFURIResolver {
+  let fileMap = new Map<string, File>();
+  for (let f of Array.from(files)) {
+    fileMap.set(f.name, f);
+    if (f.webkitRelativePath) {
+      // Strip the picked folder name from the front of the path, since URIs
+      // are relative to the .gltf file
+      const relPath = f.webkitRelativePath.split("/").slice(1).join("/");
+      fileMap.set(relPath, f);
+    }
+  }
+  return async (uri: string) => {
+    const path = decodeURIComponent(uri).replace(/^\.\//, "");
+    const file = fileMap.get(path) ?? fileMap.get(path.split("/").pop());
+    if (!file) {
+      throw Error(`File ${path} referenced by the glTF file was not provided`);
+    }
+    return file.arrayBuffer();
+  };
+}
+
+// A resolver for files that must be self contained, i.e., glB files or
+// .gltf files that only use data URIs
+export const noExternalResolver: GLTFURIResolver = async (uri: string) => {
+  throw Error(`Cannot load external file ${uri}, no URI resolver provided`);
+};
@@ -0,0 +1,803 @@
+import { GLTFAccessor, GLTFSparse } from "./gltf_accessor";
+import { GLTFAnimationPath, GLTFInterpolation } from "./gltf_animation";
+import { parseGltfCameraType } from "./gltf_camera";
+import {
+  GLTFComponentType,
+  GLTFRenderMode,
+  gltfComponentSize,
+  gltfTypeSize,
+  parseGltfType,
+} from "./gltf_enums";
+import { parseGltfLightType } from "./gltf_light";
+
+export enum GLTFIssueSeverity {
+  // Errors are problems that prevent the file from being loaded correctly,
+  // and abort loading
+  ERROR = "error",
+  // Warnings are problems the loader can work around, the file is still loaded
+  WARNING = "warning",
+}
+
+// A problem found in a file. The pointer is a JSON pointer to the object in the
+// glTF JSON with the problem (e.g., /meshes/3/primitives/0/indices), and is
+// empty for problems with the glB container itself
+export class GLTFIssue {
+  severity: GLTFIssueSeverity;
+  pointer: string;
+  message: string;
+
+  constructor(severity: GLTFIssueSeverity, pointer: string, message: string) {
+    this.severity = severity;
+    this.pointer = pointer;
+    this.message = message;
+  }
+
+  toString() {
+    const location = this.pointer ? `${this.pointer}: ` : "";
+    return `${this.severity}: ${location}${this.message}`;
+  }
+}
+
+// Thrown when a file can't be loaded due to errors. The error holds all
+// the issues found in the file before loading was aborted
+export class GLTFLoadError extends Error {
+  issues: Array<GLTFIssue>;
+
+  constructor(issues: Array<GLTFIssue>) {
+    super(
+      issues
+        .filter((i) => i.severity == GLTFIssueSeverity.ERROR)
+        .map((i) => i.toString())
+        .join("\n")
+    );
+    this.name = "GLTFLoadError";
+    this.issues = issues;
+  }
+}
+
+// Collects the issues found while validating and loading a file
+export class GLTFValidationReport {
+  issues: Array<GLTFIssue> = [];
+
+  error(pointer: string, message: string) {
+    this.issues.push(new GLTFIssue(GLTFIssueSeverity.ERROR, pointer, message));
+  }
+
+  warning(pointer: string, message: string) {
+    this.issues.push(
+      new GLTFIssue(GLTFIssueSeverity.WARNING, pointer, message)
+    );
+  }
+
+  get hasErrors() {
+    return this.issues.some((i) => i.severity == GLTFIssueSeverity.ERROR);
+  }
+
+  // Abort loading if any errors have been found so far
+  throwOnErrors() {
+    if (this.hasErrors) {
+      throw new GLTFLoadError(this.issues);
+    }
+  }
+}
+
+// The glTF extensions the loader supports
+const supportedExtensions = new Set([
+  "EXT_meshopt_compression",
+  "KHR_draco_mesh_compression",
+  "KHR_lights_punctual",
+  "KHR_materials_clearcoat",
+  "KHR_materials_emissive_strength",
+  "KHR_materials_ior",
+  "KHR_materials_sheen",
+  "KHR_materials_specular",
+  "KHR_materials_unlit",
+  "KHR_mesh_quantization",
+  "KHR_texture_basisu",
+  "KHR_texture_transform",
+]);
+
+// Files can only be loaded correctly if all the extensions they require are supported,
+// other extensions they use are optional and can be ignored
+function checkExtensions(jsonChunk: any, report: GLTFValidationReport) {
+  const used = (jsonChunk["extensionsUsed"] ?? []) as string[];
+  for (let i = 0; i < used.length; ++i) {
+    if (!supportedExtensions.has(used[i])) {
+      report.warning(
+        `/extensionsUsed/${i}`,
+        `Extension ${used[i]} is not supported and will be ignored`
+      );
+    }
+  }
+  const required = (jsonChunk["extensionsRequired"] ?? []) as string[];
+  for (let i = 0; i < required.length; ++i) {
+    if (!supportedExtensions.has(required[i])) {
+      report.error(
+        `/extensionsRequired/${i}`,
+        `Required extension ${required[i]} is not supported`
+      );
+    }
+  }
+}
+
+function isIndexComponentType(componentType: GLTFComponentType) {
+  return (
+    componentType == GLTFComponentType.UNSIGNED_BYTE ||
+    componentType == GLTFComponentType.UNSIGNED_SHORT ||
+    componentType == GLTFComponentType.UNSIGNED_INT
+  );
+}
+
+// Check that an optional reference to another object in the file is a valid index
+// into the array of those objects
+function checkIndex(
+  report: GLTFValidationReport,
+  pointer: string,
+  index: any,
+  array: any[] | undefined,
+  name: string
+) {
+  if (index === undefined) {
+    return true;
+  }
+  if (!Number.isInteger(index) || index < 0 || index >= (array?.length ?? 0)) {
+    report.error(pointer, `Invalid ${name} index ${index}`);
+    return false;
+  }
+  return true;
+}
+
+function validateBufferViews(json: any, report: GLTFValidationReport) {
+  for (let i = 0; i < (json.buffers ?? []).length; ++i) {
+    const b = json.buffers[i];
+    if (!Number.isInteger(b["byteLength"]) || b["byteLength"] < 1) {
+      report.error(
+        `/buffers/${i}/byteLength`,
+        `Invalid buffer byteLength ${b["byteLength"]}`
+      );
+    }
+  }
+  for (let i = 0; i < (json.bufferViews ?? []).length; ++i) {
+    const bv = json.bufferViews[i];
+    const pointer = `/bufferViews/${i}`;
+    if (
+      !checkIndex(
+        report,
+        `${pointer}/buffer`,
+        bv["buffer"],
+        json.buffers,
+        "buffer"
+      )
+    ) {
+      continue;
+    }
+    if (bv["buffer"] === undefined) {
+      report.error(pointer, "Buffer view has no buffer");
+      continue;
+    }
+    const bufferLength = json.buffers[bv["buffer"]]["byteLength"];
+    const end = (bv["byteOffset"] ?? 0) + bv["byteLength"];
+    if (!(end <= bufferLength)) {
+      report.error(
+        pointer,
+        `Buffer view ends at byte ${end}, past the end of buffer ${bv["buffer"]} (${bufferLength} bytes)`
+      );
+    }
+    checkIndex(
+      report,
+      `${pointer}/extensions/EXT_meshopt_compression/buffer`,
+      bv["extensions"]?.["EXT_meshopt_compression"]?.["buffer"],
+      json.buffers,
+      "buffer"
+    );
+    const stride = bv["byteStride"];
+    if (
+      stride !== undefined &&
+      (stride < 4 || stride > 252 || stride % 4 != 0)
+    ) {
+      report.warning(
+        `${pointer}/byteStride`,
+        `Buffer view byteStride ${stride} must be a multiple of 4 between 4 and 252`
+      );
+    }
+  }
+}
+
+// Check the data an accessor reads is within its buffer view
+function validateAccessors(json: any, report: GLTFValidationReport) {
+  for (let i = 0; i < (json.accessors ?? []).length; ++i) {
+    const ac = json.accessors[i];
+    const pointer = `/accessors/${i}`;
+    let elementSize = 0;
+    try {
+      elementSize = gltfTypeSize(
+        ac["componentType"],
+        parseGltfType(ac["type"])
+      );
+    } catch (err) {
+      report.error(
+        pointer,
+        `Invalid accessor type ${ac["type"]} or component type ${ac["componentType"]}`
+      );
+      continue;
+    }
+    if (!Number.isInteger(ac["count"]) || ac["count"] < 1) {
+      report.error(`${pointer}/count`, `Invalid accessor count ${ac["count"]}`);
+      continue;
+    }
+    const validView = checkIndex(
+      report,
+      `${pointer}/bufferView`,
+      ac["bufferView"],
+      json.bufferViews,
+      "buffer view"
+    );
+    if (validView && ac["bufferView"] !== undefined) {
+      const bv = json.bufferViews[ac["bufferView"]];
+      const stride = Math.max(bv["byteStride"] ?? 0, elementSize);
+      const end =
+        (ac["byteOffset"] ?? 0) + (ac["count"] - 1) * stride + elementSize;
+      if (end > bv["byteLength"]) {
+        report.error(
+          pointer,
+          `Accessor ends at byte ${end}, past the end of buffer view ${ac["bufferView"]} (${bv["byteLength"]} bytes)`
+        );
+      }
+    }
+
+    const sparse = ac["sparse"];
+    if (!sparse) {
+      continue;
+    }
+    const indexType = sparse["indices"]["componentType"];
+    if (!isIndexComponentType(indexType)) {
+      report.error(
+        `${pointer}/sparse/indices/componentType`,
+        `Invalid sparse indices component type ${indexType}`
+      );
+      continue;
+    }
+    // The sparse indices and values are tightly packed arrays
+    const arrays = [
+      {
+        name: "indices",
+        info: sparse["indices"],
+        elementSize: gltfComponentSize(indexType),
+      },
+      { name: "values", info: sparse["values"], elementSize: elementSize },
+    ];
+    for (let a of arrays) {
+      const arrayPointer = `${pointer}/sparse/${a.name}`;
+      if (a.info["bufferView"] === undefined) {
+        report.error(arrayPointer, `Sparse ${a.name} have no buffer view`);
+        continue;
+      }
+      if (
+        !checkIndex(
+          report,
+          `${arrayPointer}/bufferView`,
+          a.info["bufferView"],
+          json.bufferViews,
+          "buffer view"
+        )
+      ) {
+        continue;
+      }
+      const bv = json.bufferViews[a.info["bufferView"]];
+      const end = (a.info["byteOffset"] ?? 0) + sparse["count"] * a.elementSize;
+      if (end > bv["byteLength"]) {
+        report.error(
+          arrayPointer,
+          `Sparse ${a.name} ends at byte ${end}, past the end of buffer view ${a.info["bufferView"]} (${bv["byteLength"]} bytes)`
+        );
+      }
+    }
+  }
+}
+
+function validateMeshes(json: any, report: GLTFValidationReport) {
+  for (let i = 0; i < (json.meshes ?? []).length; ++i) {
+    const primitives = json.meshes[i]["primitives"] ?? [];
+    for (let j = 0; j < primitives.length; ++j) {
+      const prim = primitives[j];
+      const pointer = `/meshes/${i}/primitives/${j}`;
+      const mode = prim["mode"] ?? GLTFRenderMode.TRIANGLES;
+      if (!Number.isInteger(mode) || mode < 0 || mode > 6) {
+        report.error(`${pointer}/mode`, `Unsupported primitive mode ${mode}`);
+      }
+      checkIndex(
+        report,
+        `${pointer}/indices`,
+        prim["indices"],
+        json.accessors,
+        "accessor"
+      );
+      checkIndex(
+        report,
+        `${pointer}/material`,
+        prim["material"],
+        json.materials,
+        "material"
+      );
+
+      checkIndex(
+        report,
+        `${pointer}/extensions/KHR_draco_mesh_compression/bufferView`,
+        prim["extensions"]?.["KHR_draco_mesh_compression"]?.["bufferView"],
+        json.bufferViews,
+        "buffer view"
+      );
+
+      const attributes = prim["attributes"] ?? {};
+      if (!("POSITION" in attributes)) {
+        report.error(
+          `${pointer}/attributes`,
+          "Primitive is missing the required POSITION attribute"
+        );
+      }
+      // All the attributes must have the same number of elements
+      let vertexCount: number = undefined;
+      for (let attr in attributes) {
+        const index = attributes[attr];
+        if (
+          !checkIndex(
+            report,
+            `${pointer}/attributes/${attr}`,
+            index,
+            json.accessors,
+            "accessor"
+          )
+        ) {
+          continue;
+        }
+        const count = json.accessors[index]["count"];
+        vertexCount = vertexCount ?? count;
+        if (count != vertexCount) {
+          report.error(
+            `${pointer}/attributes/${attr}`,
+            `Attribute has ${count} elements, while the primitive's other attributes have ${vertexCount}`
+          );
+        }
+      }
+      const targets = prim["targets"] ?? [];
+      for (let t = 0; t < targets.length; ++t) {
+        for (let attr in targets[t]) {
+          checkIndex(
+            report,
+            `${pointer}/targets/${t}/${attr}`,
+            targets[t][attr],
+            json.accessors,
+            "accessor"
+          );
+        }
+      }
+    }
+  }
+}
+
+function validateMaterials(json: any, report: GLTFValidationReport) {
+  for (let i = 0; i < (json.materials ?? []).length; ++i) {
+    const m = json.materials[i];
+    const textures: Array<[string, any]> = [
+      [
+        "pbrMetallicRoughness/baseColorTexture",
+        m["pbrMetallicRoughness"]?.["baseColorTexture"],
+      ],
+      [
+        "pbrMetallicRoughness/metallicRoughnessTexture",
+        m["pbrMetallicRoughness"]?.["metallicRoughnessTexture"],
+      ],
+      ["normalTexture", m["normalTexture"]],
+      ["occlusionTexture", m["occlusionTexture"]],
+      ["emissiveTexture", m["emissiveTexture"]],
+    ];
+    // The material extensions we support also reference textures
+    const extensionTextures: { [ext: string]: string[] } = {
+      KHR_materials_specular: ["specularTexture", "specularColorTexture"],
+      KHR_materials_clearcoat: [
+        "clearcoatTexture",
+        "clearcoatRoughnessTexture",
+        "clearcoatNormalTexture",
+      ],
+      KHR_materials_sheen: ["sheenColorTexture", "sheenRoughnessTexture"],
+    };
+    for (let ext in extensionTextures) {
+      for (let name of extensionTextures[ext]) {
+        textures.push([
+          `extensions/${ext}/${name}`,
+          m["extensions"]?.[ext]?.[name],
+        ]);
+      }
+    }
+    for (let [path, info] of textures) {
+      if (!info) {
+        continue;
+      }
+      if (info["index"] === undefined) {
+        report.error(`/materials/${i}/${path}`, "Texture info has no index");
+      }
+      checkIndex(
+        report,
+        `/materials/${i}/${path}/index`,
+        info["index"],
+        json.textures,
+        "texture"
+      );
+      // KHR_texture_transform can override the texture coordinate set
+      const texCoords: Array<[string, any]> = [
+        ["texCoord", info["texCoord"]],
+        [
+          "extensions/KHR_texture_transform/texCoord",
+          info["extensions"]?.["KHR_texture_transform"]?.["texCoord"],
+        ],
+      ];
+      for (let [texCoordPath, texCoord] of texCoords) {
+        if (
+          texCoord !== undefined &&
+          (!Number.isInteger(texCoord) || texCoord < 0)
+        ) {
+          report.error(
+            `/materials/${i}/${path}/${texCoordPath}`,
+            `Invalid texture coordinate set ${texCoord}`
+          );
+        }
+      }
+    }
+  }
+  for (let i = 0; i < (json.textures ?? []).length; ++i) {
+    const t = json.textures[i];
+    const pointer = `/textures/${i}`;
+    checkIndex(report, `${pointer}/source`, t["source"], json.images, "image");
+    checkIndex(
+      report,
+      `${pointer}/sampler`,
+      t["sampler"],
+      json.samplers,
+      "sampler"
+    );
+    checkIndex(
+      report,
+      `${pointer}/extensions/KHR_texture_basisu/source`,
+      t["extensions"]?.["KHR_texture_basisu"]?.["source"],
+      json.images,
+      "image"
+    );
+  }
+  for (let i = 0; i < (json.images ?? []).length; ++i) {
+    const img = json.images[i];
+    const pointer = `/images/${i}`;
+    if (!("uri" in img) && !("bufferView" in img)) {
+      report.error(pointer, "Image has neither a uri nor a bufferView");
+    }
+    checkIndex(
+      report,
+      `${pointer}/bufferView`,
+      img["bufferView"],
+      json.bufferViews,
+      "buffer view"
+    );
+  }
+}
+
+function validateNodes(json: any, report: GLTFValidationReport) {
+  const lights = json["extensions"]?.["KHR_lights_punctual"]?.["lights"];
+  for (let i = 0; i < (json.nodes ?? []).length; ++i) {
+    const n = json.nodes[i];
+    const pointer = `/nodes/${i}`;
+    checkIndex(report, `${pointer}/mesh`, n["mesh"], json.meshes, "mesh");
+    checkIndex(
+      report,
+      `${pointer}/camera`,
+      n["camera"],
+      json.cameras,
+      "camera"
+    );
+    checkIndex(report, `${pointer}/skin`, n["skin"], json.skins, "skin");
+    checkIndex(
+      report,
+      `${pointer}/extensions/KHR_lights_punctual/light`,
+      n["extensions"]?.["KHR_lights_punctual"]?.["light"],
+      lights,
+      "light"
+    );
+    const children = n["children"] ?? [];
+    for (let c = 0; c < children.length; ++c) {
+      checkIndex(
+        report,
+        `${pointer}/children/${c}`,
+        children[c],
+        json.nodes,
+        "node"
+      );
+    }
+  }
+  for (let i = 0; i < (json.skins ?? []).length; ++i) {
+    const s = json.skins[i];
+    checkIndex(
+      report,
+      `/skins/${i}/inverseBindMatrices`,
+      s["inverseBindMatrices"],
+      json.accessors,
+      "accessor"
+    );
+    const joints = s["joints"] ?? [];
+    for (let j = 0; j < joints.length; ++j) {
+      checkIndex(
+        report,
+        `/skins/${i}/joints/${j}`,
+        joints[j],
+        json.nodes,
+        "node"
+      );
+    }
+  }
+  for (let i = 0; i < (json.scenes ?? []).length; ++i) {
+    const nodes = json.scenes[i]["nodes"] ?? [];
+    for (let j = 0; j < nodes.length; ++j) {
+      checkIndex(
+        report,
+        `/scenes/${i}/nodes/${j}`,
+        nodes[j],
+        json.nodes,
+        "node"
+      );
+    }
+  }
+  checkIndex(report, "/scene", json["scene"], json.scenes, "scene");
+}
+
+function validateLightsAndCameras(json: any, report: GLTFValidationReport) {
+  const lights = json["extensions"]?.["KHR_lights_punctual"]?.["lights"] ?? [];
+  for (let i = 0; i < lights.length; ++i) {
+    const type = lights[i]["type"];
+    if (parseGltfLightType(type) === null) {
+      report.error(
+        `/extensions/KHR_lights_punctual/lights/${i}/type`,
+        `Invalid light type ${type}`
+      );
+    }
+  }
+  for (let i = 0; i < (json.cameras ?? []).length; ++i) {
+    const type = json.cameras[i]["type"];
+    if (parseGltfCameraType(type) === null) {
+      report.error(`/cameras/${i}/type`, `Invalid camera type ${type}`);
+    } else if (!json.cameras[i][type]) {
+      report.error(
+        `/cameras/${i}`,
+        `The ${type} camera has no ${type} properties`
+      );
+    }
+  }
+}
+
+// The accessor type of the sampler output values for each animated property
+const animationOutputTypes = new Map<string, string>([
+  [GLTFAnimationPath.TRANSLATION, "VEC3"],
+  [GLTFAnimationPath.ROTATION, "VEC4"],
+  [GLTFAnimationPath.SCALE, "VEC3"],
+  [GLTFAnimationPath.WEIGHTS, "SCALAR"],
+]);
+
+function validateAnimations(json: any, report: GLTFValidationReport) {
+  for (let i = 0; i < (json.animations ?? []).length; ++i) {
+    const anim = json.animations[i];
+    const samplers = anim["samplers"] ?? [];
+    // Channels are only checked against samplers with valid accessors
+    let validSamplers: boolean[] = [];
+    for (let s = 0; s < samplers.length; ++s) {
+      const sampler = samplers[s];
+      const pointer = `/animations/${i}/samplers/${s}`;
+      let valid = true;
+      for (let prop of ["input", "output"]) {
+        if (sampler[prop] === undefined) {
+          report.error(pointer, `Animation sampler has no ${prop} accessor`);
+          valid = false;
+        } else if (
+          !checkIndex(
+            report,
+            `${pointer}/${prop}`,
+            sampler[prop],
+            json.accessors,
+            "accessor"
+          )
+        ) {
+          valid = false;
+        }
+      }
+      const interpolation = sampler["interpolation"] ?? "LINEAR";
+      if (
+        !(Object.values(GLTFInterpolation) as string[]).includes(interpolation)
+      ) {
+        report.error(
+          `${pointer}/interpolation`,
+          `Invalid animation interpolation ${interpolation}`
+        );
+        valid = false;
+      }
+      // The keyframe times must be floats
+      const input = json.accessors?.[sampler["input"]];
+      if (
+        valid &&
+        (input["type"] != "SCALAR" ||
+          input["componentType"] != GLTFComponentType.FLOAT)
+      ) {
+        report.error(
+          `${pointer}/input`,
+          "Animation sampler input must be a SCALAR accessor of floats"
+        );
+        valid = false;
+      }
+      validSamplers.push(valid);
+    }
+
+    const channels = anim["channels"] ?? [];
+    for (let c = 0; c < channels.length; ++c) {
+      const channel = channels[c];
+      const target = channel["target"] ?? {};
+      const pointer = `/animations/${i}/channels/${c}`;
+      let valid = true;
+      if (channel["sampler"] === undefined) {
+        report.error(pointer, "Animation channel has no sampler");
+        valid = false;
+      } else if (
+        !checkIndex(
+          report,
+          `${pointer}/sampler`,
+          channel["sampler"],
+          samplers,
+          "sampler"
+        )
+      ) {
+        valid = false;
+      }
+      // Channels without a node are used by extensions, which define their own paths
+      if (target["node"] === undefined) {
+        continue;
+      }
+      if (
+        !checkIndex(
+          report,
+          `${pointer}/target/node`,
+          target["node"],
+          json.nodes,
+          "node"
+        )
+      ) {
+        valid = false;
+      }
+      const path = target["path"];
+      if (!animationOutputTypes.has(path)) {
+        report.error(
+          `${pointer}/target/path`,
+          `Invalid animation target path ${path}`
+        );
+        valid = false;
+      }
+      if (!valid) {
+        continue;
+      }
+
+      // Morph target weights have a value for each target in each keyframe, and
+      // the node must have a mesh with morph targets to apply them to
+      let valuesPerKey = 1;
+      if (path == GLTFAnimationPath.WEIGHTS) {
+        const mesh = json.meshes?.[json.nodes[target["node"]]["mesh"]];
+        valuesPerKey = mesh?.["primitives"]?.[0]?.["targets"]?.length ?? 0;
+        if (valuesPerKey == 0) {
+          report.error(
+            `${pointer}/target/node`,
+            "Animated morph target weights must target a node whose mesh has morph targets"
+          );
+          continue;
+        }
+      }
+      if (!validSamplers[channel["sampler"]]) {
+        continue;
+      }
+      const sampler = samplers[channel["sampler"]];
+      const samplerPointer = `/animations/${i}/samplers/${channel["sampler"]}`;
+      if (sampler["interpolation"] == GLTFInterpolation.CUBICSPLINE) {
+        // Cubic spline keyframes store an in-tangent, value and out-tangent
+        valuesPerKey *= 3;
+      }
+      const input = json.accessors[sampler["input"]];
+      const output = json.accessors[sampler["output"]];
+      const outputType = animationOutputTypes.get(path);
+      if (output["type"] != outputType) {
+        report.error(
+          `${samplerPointer}/output`,
+          `Animation sampler output for ${path} must be a ${outputType} accessor`
+        );
+      } else if (output["count"] != input["count"] * valuesPerKey) {
+        report.error(
+          `${samplerPointer}/output`,
+          `Animation sampler output has ${output["count"]} values, expected ${input["count"] * valuesPerKey} for its ${input["count"]} keyframes`
+        );
+      }
+    }
+  }
+}
+
+// Validate the glTF JSON, checking the references between objects are valid and the
+// data accessed by buffer views and accessors is within the buffers. This is done
+// before loading the file so the loader can rely on the JSON being well formed
+export function validateGLTFJSON(json: any, report: GLTFValidationReport) {
+  if (typeof json != "object" || json === null || Array.isArray(json)) {
+    report.error("", "The glTF JSON is not an object");
+    return;
+  }
+  checkExtensions(json, report);
+  const version = json["asset"]?.["version"];
+  if (version === undefined) {
+    report.warning("/asset", "File has no asset version");
+  } else if (!String(version).startsWith("2.")) {
+    report.error(
+      "/asset/version",
+      `Unsupported glTF version ${version}, only version 2.0 is supported`
+    );
+  }
+  validateBufferViews(json, report);
+  validateAccessors(json, report);
+  validateMeshes(json, report);
+  validateMaterials(json, report);
+  validateNodes(json, report);
+  validateLightsAndCameras(json, report);
+  validateAnimations(json, report);
+}
+
+// Check the sparse indices of an accessor are within the accessor's elements.
+// This reads the index data, so it's done when the accessors are loaded
+export function validateSparseIndices(
+  pointer: string,
+  sparse: GLTFSparse,
+  count: number,
+  report: GLTFValidationReport
+) {
+  for (let i = 0; i < sparse.count; ++i) {
+    const index = sparse.readIndex(i);
+    if (index >= count) {
+      report.error(
+        `${pointer}/sparse/indices`,
+        `Sparse index ${index} is out of bounds for accessor with ${count} elements`
+      );
+      return false;
+    }
+  }
+  return true;
+}
+
+// Check that the indices of each primitive reference vertices the primitive has.
+// This reads the index data, so it's done once the accessors are loaded
+export function validateIndices(
+  json: any,
+  accessors: GLTFAccessor[],
+  report: GLTFValidationReport
+) {
+  for (let i = 0; i < (json.meshes ?? []).length; ++i) {
+    const primitives = json.meshes[i]["primitives"];
+    for (let j = 0; j < primitives.length; ++j) {
+      const prim = primitives[j];
+      if (prim["indices"] === undefined) {
+        continue;
+      }
+      const indices = accessors[prim["indices"]];
+      if (!isIndexComponentType(indices.componentType)) {
+        report.error(
+          `/meshes/${i}/primitives/${j}/indices`,
+          `Invalid index component type ${indices.componentType}`
+        );
+        continue;
+      }
+      const vertexCount = accessors[prim["attributes"]["POSITION"]].count;
+      const maxIndex = indices
+        .readIndices()
+        .reduce((a, b) => Math.max(a, b), 0);
+      if (maxIndex >= vertexCount) {
+        report.error(
+          `/meshes/${i}/primitives/${j}/indices`,
+          `Index ${maxIndex} is out of range for the primitive's ${vertexCount} vertices`
+        );
+      }
+    }
+  }
+}
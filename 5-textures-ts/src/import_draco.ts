@@ -0,0 +1,208 @@
+import { GLTFBufferView } from "./gltf_buffer";
+import {
+  GLTFComponentType,
+  GLTFRenderMode,
+  gltfTypeNumComponents,
+  parseGltfType,
+} from "./gltf_enums";
+import { tightlyPackedView } from "./gltf_accessor";
+import { GLTFValidationReport } from "./gltf_validation";
+
+// Loads the Draco decoder module used to decode Draco compressed primitives. It's
+// passed in by the caller so that parsing doesn't depend on how the decoder's WASM
+// file is loaded, see import_draco_decoder.ts for the loader used in the browser
+export type DracoDecoderLoader = () => Promise<any>;
+
+// The Draco data type to decode attributes to, and the typed array holding the
+// decoded data, for each accessor component type Draco data can be decoded to
+const dracoComponentTypes = new Map([
+  [GLTFComponentType.BYTE, { dataType: "DT_INT8", array: Int8Array }],
+  [
+    GLTFComponentType.UNSIGNED_BYTE,
+    { dataType: "DT_UINT8", array: Uint8Array },
+  ],
+  [GLTFComponentType.SHORT, { dataType: "DT_INT16", array: Int16Array }],
+  [
+    GLTFComponentType.UNSIGNED_SHORT,
+    { dataType: "DT_UINT16", array: Uint16Array },
+  ],
+  [
+    GLTFComponentType.UNSIGNED_INT,
+    { dataType: "DT_UINT32", array: Uint32Array },
+  ],
+  [GLTFComponentType.FLOAT, { dataType: "DT_FLOAT32", array: Float32Array }],
+]);
+
+// Make a typed array of the accessor's component type to hold the decoded data
+function makeComponentArray(componentType: GLTFComponentType, length: number) {
+  return new (dracoComponentTypes.get(componentType).array)(length);
+}
+
+// Decode a Draco compressed mesh, copying the decoded index and attribute data into
+// buffer views for the primitive's accessors. The attributes map the name of each
+// attribute to its unique ID in the Draco data and the index of the accessor it's
+// decoded to. Problems with the data are reported as errors at the extension's pointer
+function decodeDracoMesh(
+  draco: any,
+  data: Uint8Array,
+  jsonChunk: any,
+  pointer: string,
+  indices: number | undefined,
+  attributes: Map<string, { uniqueId: number; accessor: number }>,
+  decodedViews: Map<number, GLTFBufferView>,
+  report: GLTFValidationReport
+) {
+  const decoder = new draco.Decoder();
+  const mesh = new draco.Mesh();
+  try {
+    const status = decoder.DecodeArrayToMesh(data, data.byteLength, mesh);
+    if (!status.ok() || mesh.ptr == 0) {
+      report.error(
+        pointer,
+        `Failed to decode Draco mesh: ${status.error_msg()}`
+      );
+      return;
+    }
+
+    if (indices !== undefined) {
+      const numIndices = mesh.num_faces() * 3;
+      const byteLength = numIndices * 4;
+      const ptr = draco._malloc(byteLength);
+      decoder.GetTrianglesUInt32Array(mesh, byteLength, ptr);
+      // Convert the indices to the index accessor's component type
+      let out = makeComponentArray(
+        jsonChunk.accessors[indices]["componentType"],
+        numIndices
+      );
+      out.set(new Uint32Array(draco.HEAPU8.buffer, ptr, numIndices));
+      draco._free(ptr);
+      decodedViews.set(indices, tightlyPackedView(out));
+    }
+
+    for (let [name, { uniqueId, accessor: accessorIndex }] of attributes) {
+      const accessor = jsonChunk.accessors[accessorIndex];
+      const attribute = decoder.GetAttributeByUniqueId(mesh, uniqueId);
+      if (attribute.ptr == 0) {
+        report.error(
+          `${pointer}/attributes/${name}`,
+          `Draco mesh has no attribute with ID ${uniqueId}`
+        );
+        continue;
+      }
+      const componentType = accessor["componentType"] as GLTFComponentType;
+      const numComponents = gltfTypeNumComponents(
+        parseGltfType(accessor["type"])
+      );
+      let out = makeComponentArray(
+        componentType,
+        mesh.num_points() * numComponents
+      );
+      const ptr = draco._malloc(out.byteLength);
+      decoder.GetAttributeDataArrayForAllPoints(
+        mesh,
+        attribute,
+        draco[dracoComponentTypes.get(componentType).dataType],
+        out.byteLength,
+        ptr
+      );
+      new Uint8Array(out.buffer).set(
+        new Uint8Array(draco.HEAPU8.buffer, ptr, out.byteLength)
+      );
+      draco._free(ptr);
+      decodedViews.set(accessorIndex, tightlyPackedView(out));
+    }
+  } finally {
+    draco.destroy(mesh);
+    draco.destroy(decoder);
+  }
+}
+
+// Decode the primitives compressed with KHR_draco_mesh_compression. The accessors of
+// these primitives don't have a buffer view, and instead get the decoded data. This
+// returns the buffer views holding the decoded data for each accessor index, which
+// are used by the accessors like any other buffer view. The decoder is only loaded if
+// the file has Draco compressed primitives. Primitives that can't be decoded, or any
+// Draco compressed primitives if no decoder is given, are reported as errors
+export async function decodeDracoPrimitives(
+  jsonChunk: any,
+  bufferViews: GLTFBufferView[],
+  loadDecoder: DracoDecoderLoader,
+  report: GLTFValidationReport
+) {
+  let decodedViews = new Map<number, GLTFBufferView>();
+  const meshes = jsonChunk.meshes ?? [];
+  for (let i = 0; i < meshes.length; ++i) {
+    const primitives = meshes[i].primitives;
+    for (let j = 0; j < primitives.length; ++j) {
+      const prim = primitives[j];
+      const ext = prim["extensions"]?.["KHR_draco_mesh_compression"];
+      if (!ext) {
+        continue;
+      }
+      const pointer = `/meshes/${i}/primitives/${j}`;
+      if (!loadDecoder) {
+        report.error(
+          `${pointer}/extensions/KHR_draco_mesh_compression`,
+          "Draco compressed primitives can't be decoded without a Draco decoder"
+        );
+        continue;
+      }
+      // Draco compressed meshes are decoded as triangle lists
+      const mode = prim["mode"] ?? GLTFRenderMode.TRIANGLES;
+      if (mode != GLTFRenderMode.TRIANGLES) {
+        report.error(
+          `${pointer}/mode`,
+          `Unsupported Draco compressed primitive mode ${mode}`
+        );
+        continue;
+      }
+
+      // The extension maps the primitive's attributes to the unique IDs
+      // of the attributes in the Draco data
+      let attributes = new Map<
+        string,
+        { uniqueId: number; accessor: number }
+      >();
+      for (let attr in ext["attributes"]) {
+        if (attr in prim["attributes"]) {
+          attributes.set(attr, {
+            uniqueId: ext["attributes"][attr],
+            accessor: prim["attributes"][attr],
+          });
+        }
+      }
+      // Check the decoded data can be stored in the accessors
+      let accessors = Array.from(attributes.values()).map((a) => a.accessor);
+      if (prim["indices"] !== undefined) {
+        accessors.push(prim["indices"]);
+      }
+      let supported = true;
+      for (let a of accessors) {
+        const componentType = jsonChunk.accessors[a]["componentType"];
+        if (!dracoComponentTypes.has(componentType)) {
+          report.error(
+            `/accessors/${a}/componentType`,
+            `Unsupported Draco compressed accessor component type ${componentType}`
+          );
+          supported = false;
+        }
+      }
+      if (!supported) {
+        continue;
+      }
+
+      const draco = await loadDecoder();
+      decodeDracoMesh(
+        draco,
+        bufferViews[ext["bufferView"]].view,
+        jsonChunk,
+        `${pointer}/extensions/KHR_draco_mesh_compression`,
+        prim["indices"],
+        attributes,
+        decodedViews,
+        report
+      );
+    }
+  }
+  return decodedViews;
+}
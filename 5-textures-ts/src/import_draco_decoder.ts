@@ -0,0 +1,17 @@
+// Only import the decoder, the draco3d package's main module also loads the encoder
+import createDecoderModule from "draco3d/draco_decoder_nodejs";
+import dracoDecoderWasm from "draco3d/draco_decoder.wasm";
+
+// The Draco decoder module, loaded when the first Draco compressed primitive is decoded
+let dracoDecoder: Promise<any> = null;
+
+// Load the Draco decoder, fetching its WASM file from where it's bundled. This is
+// the DracoDecoderLoader passed to the parser when loading files in the browser
+export function loadDracoDecoder() {
+  if (!dracoDecoder) {
+    dracoDecoder = fetch(dracoDecoderWasm)
+      .then((res) => res.arrayBuffer())
+      .then((wasm) => createDecoderModule({ wasmBinary: wasm }));
+  }
+  return dracoDecoder;
+}
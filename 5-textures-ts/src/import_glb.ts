@@ -1,4 +1,4 @@
-import { mat4, ReadonlyVec3 } from "gl-matrix";
+import { mat4, quat, ReadonlyQuat, ReadonlyVec3, vec3 } from "gl-matrix";
 import {
   GLTFRenderMode,
   GLTFComponentType,
@@ -7,86 +7,351 @@ import {
   GLTFTextureWrap,
 } from "./gltf_enums";
 import { GLTFBuffer, GLTFBufferView } from "./gltf_buffer";
-import { GLTFAccessor } from "./gltf_accessor";
+import { GLTFAccessor, GLTFSparse, makeIndexAccessor } from "./gltf_accessor";
 import { GLTFPrimitive } from "./gltf_primitive";
 import { GLTFMesh, GLTFNode, GLTFScene } from "./gltf_mesh";
-import { GLTFImage, GLTFSampler, GLTFTexture } from "./gltf_texture";
-import { GLTFMaterial } from "./gltf_material";
-
-// Flatten the glTF node tree passed to a single-level so that we don't have to worry
-// about nested transforms in the renderer. The root node is included in the flattened tree
-export function flattenTree(
-  allNodes: any,
-  node: any,
-  parent_transform: mat4
-): any {
-  let flattened = [];
-  let tfm = readNodeTransform(node);
-  if (parent_transform != undefined) mat4.mul(tfm, parent_transform, tfm);
-
-  // Add the flattened current node
-  let n = {
-    matrix: tfm,
-    mesh: node["mesh"],
-    camera: node["camera"],
-  };
-  flattened.push(n);
-
-  // Loop through the node's children and flatten them as well
-  if (node["children"]) {
-    for (let i = 0; i < node["children"].length; ++i) {
-      flattened.push(
-        ...flattenTree(allNodes, allNodes[node["children"][i]], tfm)
-      );
+import { GLTFDocument } from "./gltf_document";
+import {
+  GLTFImage,
+  GLTFSampler,
+  GLTFTexture,
+  GLTFTextureInfo,
+} from "./gltf_texture";
+import { GLTFAlphaMode, GLTFMaterial } from "./gltf_material";
+import { GLTFSkin } from "./gltf_skin";
+import { GLTFLight, parseGltfLightType } from "./gltf_light";
+import { GLTFCamera, GLTFCameraType, parseGltfCameraType } from "./gltf_camera";
+import {
+  GLTFAnimation,
+  GLTFAnimationChannel,
+  GLTFAnimationPath,
+  GLTFAnimationSampler,
+  GLTFInterpolation,
+} from "./gltf_animation";
+import {
+  GLTFURIResolver,
+  dataURIMimeType,
+  decodeDataURI,
+  guessImageMimeType,
+  isDataURI,
+  noExternalResolver,
+} from "./gltf_uri_resolver";
+import { DracoDecoderLoader, decodeDracoPrimitives } from "./import_draco";
+import { decodeMeshoptBufferView } from "./import_meshopt";
+import {
+  GLTFValidationReport,
+  validateGLTFJSON,
+  validateIndices,
+  validateSparseIndices,
+} from "./gltf_validation";
+
+// Create GLTFNodes for all the nodes in the file and link up the node hierarchy.
+// The hierarchy is kept so that we can update transforms of animated nodes
+function loadNodes(
+  jsonChunk: any,
+  meshes: GLTFMesh[],
+  lights: GLTFLight[],
+  cameras: GLTFCamera[]
+) {
+  let nodes: GLTFNode[] = [];
+  if (!jsonChunk.nodes) {
+    return nodes;
+  }
+  for (let n of jsonChunk.nodes) {
+    let mesh = null;
+    if ("mesh" in n) {
+      mesh = meshes[n["mesh"]];
+    }
+    let node = new GLTFNode(n["name"], mesh);
+    readNodeTransform(n, node);
+    if ("weights" in n) {
+      node.setWeights(n["weights"]);
+    }
+    const lightIndex = n["extensions"]?.["KHR_lights_punctual"]?.["light"];
+    if (lightIndex !== undefined) {
+      node.light = lights[lightIndex];
+    }
+    if ("camera" in n) {
+      node.camera = cameras[n["camera"]];
+    }
+    nodes.push(node);
+  }
+  for (let i = 0; i < jsonChunk.nodes.length; ++i) {
+    const children = jsonChunk.nodes[i]["children"] ?? [];
+    for (let c of children) {
+      nodes[i].addChild(nodes[c]);
     }
   }
-  return flattened;
+  return nodes;
 }
 
-function readNodeTransform(node: any) {
-  if (node["matrix"]) {
-    let m = node["matrix"];
+// Load the punctual lights defined by KHR_lights_punctual
+function loadLights(jsonChunk: any) {
+  let lights: GLTFLight[] = [];
+  const lightsExt = jsonChunk["extensions"]?.["KHR_lights_punctual"];
+  for (let l of lightsExt?.["lights"] ?? []) {
+    let light = new GLTFLight(l["name"], parseGltfLightType(l["type"]));
+    if (l["color"]) {
+      vec3.copy(light.color, l["color"] as ReadonlyVec3);
+    }
+    light.intensity = l["intensity"] ?? 1;
+    light.range = l["range"] ?? 0;
+    if (l["spot"]) {
+      light.innerConeAngle = l["spot"]["innerConeAngle"] ?? 0;
+      light.outerConeAngle = l["spot"]["outerConeAngle"] ?? Math.PI / 4;
+    }
+    lights.push(light);
+  }
+  return lights;
+}
+
+// Load the perspective and orthographic cameras defined in the file
+function loadCameras(jsonChunk: any) {
+  let cameras: GLTFCamera[] = [];
+  for (let c of jsonChunk["cameras"] ?? []) {
+    let camera = new GLTFCamera(c["name"], parseGltfCameraType(c["type"]));
+    if (camera.type == GLTFCameraType.PERSPECTIVE) {
+      const p = c["perspective"];
+      camera.yfov = p["yfov"];
+      camera.aspectRatio = p["aspectRatio"] ?? null;
+      camera.znear = p["znear"];
+      camera.zfar = p["zfar"] ?? Infinity;
+    } else {
+      const o = c["orthographic"];
+      camera.xmag = o["xmag"];
+      camera.ymag = o["ymag"];
+      camera.znear = o["znear"];
+      camera.zfar = o["zfar"];
+    }
+    cameras.push(camera);
+  }
+  return cameras;
+}
+
+function readNodeTransform(n: any, node: GLTFNode) {
+  if (n["matrix"]) {
     // Both glTF and gl matrix are column major
-    return mat4.fromValues(
-      m[0] as number,
-      m[1] as number,
-      m[2] as number,
-      m[3] as number,
-      m[4] as number,
-      m[5] as number,
-      m[6] as number,
-      m[7] as number,
-      m[8] as number,
-      m[9] as number,
-      m[10] as number,
-      m[11] as number,
-      m[12] as number,
-      m[13] as number,
-      m[14] as number,
-      m[15] as number
-    );
+    node.matrix = mat4.clone(n["matrix"] as mat4);
   } else {
-    let scale = [1, 1, 1] as ReadonlyVec3;
-    let rotation = [0, 0, 0, 1];
-    let translation = [0, 0, 0] as ReadonlyVec3;
-    if (node["scale"]) {
-      scale = node["scale"] as ReadonlyVec3;
+    if (n["scale"]) {
+      vec3.copy(node.scale, n["scale"] as ReadonlyVec3);
     }
-    if (node["rotation"]) {
-      rotation = node["rotation"] as Array<number>;
+    if (n["rotation"]) {
+      quat.copy(node.rotation, n["rotation"] as ReadonlyQuat);
     }
-    if (node["translation"]) {
-      translation = node["translation"] as ReadonlyVec3;
+    if (n["translation"]) {
+      vec3.copy(node.translation, n["translation"] as ReadonlyVec3);
     }
-    let m = mat4.create();
-    return mat4.fromRotationTranslationScale(m, rotation, translation, scale);
   }
 }
 
-function loadBufferViews(jsonChunk: any, binaryChunk: GLTFBuffer) {
+function loadSkins(
+  jsonChunk: any,
+  accessors: GLTFAccessor[],
+  nodes: GLTFNode[]
+) {
+  let skins: GLTFSkin[] = [];
+  if (!jsonChunk.skins) {
+    return skins;
+  }
+  for (let s of jsonChunk.skins) {
+    const joints = (s["joints"] as number[]).map((j) => nodes[j]);
+    let inverseBindMatrices = null;
+    if ("inverseBindMatrices" in s) {
+      inverseBindMatrices = accessors[s["inverseBindMatrices"]].readFloat32();
+    }
+    skins.push(new GLTFSkin(s["name"], joints, inverseBindMatrices));
+  }
+  // Assign the skins to the nodes using them
+  for (let i = 0; i < jsonChunk.nodes.length; ++i) {
+    if ("skin" in jsonChunk.nodes[i]) {
+      nodes[i].skin = skins[jsonChunk.nodes[i]["skin"]];
+    }
+  }
+  return skins;
+}
+
+function loadAnimations(
+  jsonChunk: any,
+  accessors: GLTFAccessor[],
+  nodes: GLTFNode[]
+) {
+  let animations: GLTFAnimation[] = [];
+  if (!jsonChunk.animations) {
+    return animations;
+  }
+  for (let i = 0; i < jsonChunk.animations.length; ++i) {
+    const anim = jsonChunk.animations[i];
+    let samplers = [];
+    for (let s of anim["samplers"]) {
+      const input = accessors[s["input"]];
+      const output = accessors[s["output"]];
+      const interpolation = (s["interpolation"] ??
+        "LINEAR") as GLTFInterpolation;
+      // Morph target weight outputs are scalars, with one value per target for
+      // each keyframe, so we find the number of components from the output count
+      let numComponents = output.numComponents;
+      if (numComponents == 1) {
+        const valuesPerKey =
+          interpolation == GLTFInterpolation.CUBICSPLINE ? 3 : 1;
+        numComponents = output.count / (input.count * valuesPerKey);
+      }
+      samplers.push(
+        new GLTFAnimationSampler(
+          input.readFloat32(),
+          output.readFloat32(),
+          interpolation,
+          numComponents
+        )
+      );
+    }
+
+    let channels = [];
+    for (let c of anim["channels"]) {
+      const target = c["target"];
+      // Channels without a node are used by extensions, which we don't support
+      if (!("node" in target)) {
+        continue;
+      }
+      channels.push(
+        new GLTFAnimationChannel(
+          samplers[c["sampler"]],
+          nodes[target["node"]],
+          target["path"] as GLTFAnimationPath
+        )
+      );
+    }
+    animations.push(
+      new GLTFAnimation(anim["name"] ?? `animation_${i}`, channels)
+    );
+  }
+  return animations;
+}
+
+// Create a GLTFScene for each scene in the file. The animations of each scene
+// are the ones targeting its nodes
+function loadScenes(
+  jsonChunk: any,
+  nodes: GLTFNode[],
+  animations: GLTFAnimation[]
+) {
+  let scenes: GLTFScene[] = [];
+  if (!jsonChunk.scenes) {
+    return scenes;
+  }
+  for (let i = 0; i < jsonChunk.scenes.length; ++i) {
+    const s = jsonChunk.scenes[i];
+    const rootNodes = ((s["nodes"] ?? []) as number[]).map((n) => nodes[n]);
+    let scene = new GLTFScene(s["name"] ?? `scene_${i}`, rootNodes, []);
+    scene.animations = animations.filter((a) =>
+      a.channels.some((c) => scene.nodes.includes(c.node))
+    );
+    scenes.push(scene);
+  }
+  return scenes;
+}
+
+// Load the contents of a URI referenced by the file, decoding data URIs directly
+// and passing external URIs to the resolver. URIs that can't be loaded are
+// reported as errors at the pointer, returning null
+async function loadURI(
+  uri: string,
+  resolver: GLTFURIResolver,
+  pointer: string,
+  report: GLTFValidationReport
+) {
+  try {
+    if (isDataURI(uri)) {
+      return decodeDataURI(uri);
+    }
+    return await resolver(uri);
+  } catch (err) {
+    report.error(pointer, `Failed to load URI: ${(err as Error).message}`);
+    return null;
+  }
+}
+
+async function loadBuffers(
+  jsonChunk: any,
+  binaryChunk: GLTFBuffer | null,
+  resolver: GLTFURIResolver,
+  report: GLTFValidationReport
+) {
+  let buffers: GLTFBuffer[] = [];
+  if (!jsonChunk.buffers) {
+    return buffers;
+  }
+  for (let i = 0; i < jsonChunk.buffers.length; ++i) {
+    const b = jsonChunk.buffers[i];
+    if ("uri" in b) {
+      const data = await loadURI(
+        b["uri"],
+        resolver,
+        `/buffers/${i}/uri`,
+        report
+      );
+      if (!data) {
+        continue;
+      }
+      if (data.byteLength < b["byteLength"]) {
+        report.error(
+          `/buffers/${i}`,
+          `Buffer has ${data.byteLength} bytes, less than its byteLength ${b["byteLength"]}`
+        );
+        continue;
+      }
+      buffers.push(new GLTFBuffer(data, 0, b["byteLength"] as number));
+    } else if (b["extensions"]?.["EXT_meshopt_compression"]?.["fallback"]) {
+      // Fallback buffers for EXT_meshopt_compression may have no data, as their
+      // buffer views are decoded from the compressed data instead
+      buffers.push(new GLTFBuffer(new ArrayBuffer(0), 0, 0));
+    } else if (i == 0 && binaryChunk) {
+      // In a glB file the first buffer without a URI refers to the binary chunk
+      if (binaryChunk.buffer.byteLength < b["byteLength"]) {
+        report.error(
+          `/buffers/${i}`,
+          `The glB binary chunk has ${binaryChunk.buffer.byteLength} bytes, less than the buffer's byteLength ${b["byteLength"]}`
+        );
+      }
+      buffers.push(binaryChunk);
+    } else if (i == 0) {
+      report.error(
+        `/buffers/${i}`,
+        "Buffer has no URI and the file has no glB binary chunk"
+      );
+    } else {
+      report.error(
+        `/buffers/${i}`,
+        "Buffer has no URI, only the first buffer can refer to the glB binary chunk"
+      );
+    }
+  }
+  return buffers;
+}
+
+async function loadBufferViews(
+  jsonChunk: any,
+  buffers: GLTFBuffer[],
+  report: GLTFValidationReport
+) {
   // Create GLTFBufferView objects for all the buffer views in the glTF file
-  let bufferViews = [];
-  for (let bv of jsonChunk.bufferViews) {
+  let bufferViews: GLTFBufferView[] = [];
+  if (!jsonChunk.bufferViews) {
+    return bufferViews;
+  }
+  for (let i = 0; i < jsonChunk.bufferViews.length; ++i) {
+    const bv = jsonChunk.bufferViews[i];
+    if (bv["extensions"]?.["EXT_meshopt_compression"]) {
+      bufferViews.push(
+        await decodeMeshoptBufferView(
+          bv,
+          `/bufferViews/${i}/extensions/EXT_meshopt_compression`,
+          buffers,
+          report
+        )
+      );
+      continue;
+    }
     let byteLength = bv["byteLength"] as number;
     let byteStride = 0;
     if ("byteStride" in bv) {
@@ -97,19 +362,33 @@ function loadBufferViews(jsonChunk: any, binaryChunk: GLTFBuffer) {
       byteOffset = bv["byteOffset"] as number;
     }
     bufferViews.push(
-      new GLTFBufferView(binaryChunk, byteLength, byteOffset, byteStride)
+      new GLTFBufferView(
+        buffers[bv["buffer"]],
+        byteLength,
+        byteOffset,
+        byteStride
+      )
     );
   }
   return bufferViews;
 }
 
-function loadAccessors(jsonChunk: any, bufferViews: GLTFBufferView[]) {
+function loadAccessors(
+  jsonChunk: any,
+  bufferViews: GLTFBufferView[],
+  dracoViews: Map<number, GLTFBufferView>,
+  report: GLTFValidationReport
+) {
   // Create GLTFAccessor objects for the accessors in the glTF file
   // We need to handle possible errors being thrown here if a model is using
   // accessors for types we don't support yet. For example, a model with animation
   // may have a MAT4 accessor, which we currently don't support.
-  let accessors = [];
-  for (let ac of jsonChunk.accessors) {
+  let accessors: GLTFAccessor[] = [];
+  if (!jsonChunk.accessors) {
+    return accessors;
+  }
+  for (let i = 0; i < jsonChunk.accessors.length; ++i) {
+    const ac = jsonChunk.accessors[i];
     let viewID = ac["bufferView"];
     let count = ac["count"] as number;
     let componentType = ac["componentType"] as GLTFComponentType;
@@ -118,30 +397,98 @@ function loadAccessors(jsonChunk: any, bufferViews: GLTFBufferView[]) {
     if ("byteOffset" in ac) {
       byteOffset = ac["byteOffset"] as number;
     }
+    let normalized = false;
+    if ("normalized" in ac) {
+      normalized = ac["normalized"] as boolean;
+    }
+    // Accessors of Draco compressed primitives use the decoded data, other
+    // accessors without a buffer view are zero initialized. Files where the
+    // extension is optional also give Draco accessors a buffer view holding the
+    // uncompressed data for other loaders, which we ignore. The decoded data is
+    // tightly packed, so the accessor's offset into that view doesn't apply
+    let view = null;
+    if (dracoViews.has(i)) {
+      view = dracoViews.get(i);
+      byteOffset = 0;
+    } else if (viewID !== undefined) {
+      view = bufferViews[viewID];
+    }
     // Now parse the json data out of accessorInfo
-    accessors.push(
-      new GLTFAccessor(
-        bufferViews[viewID],
-        count,
-        componentType,
-        gltfType,
-        byteOffset
-      )
+    let accessor = new GLTFAccessor(
+      view,
+      count,
+      componentType,
+      gltfType,
+      byteOffset,
+      normalized
     );
+    if ("min" in ac && "max" in ac) {
+      accessor.min = ac["min"] as number[];
+      accessor.max = ac["max"] as number[];
+    }
+
+    // Sparse accessors and accessors without a buffer view don't have dense
+    // data in a buffer view that we can upload directly, so we create it here
+    let sparse = null;
+    if ("sparse" in ac) {
+      const sp = ac["sparse"];
+      sparse = new GLTFSparse(
+        sp["count"] as number,
+        bufferViews[sp["indices"]["bufferView"]],
+        (sp["indices"]["byteOffset"] ?? 0) as number,
+        sp["indices"]["componentType"] as GLTFComponentType,
+        bufferViews[sp["values"]["bufferView"]],
+        (sp["values"]["byteOffset"] ?? 0) as number
+      );
+    }
+    // Out of bounds sparse indices are reported as errors, which abort loading
+    // once all accessors are loaded, so the sparse values are just skipped
+    if (
+      sparse &&
+      !validateSparseIndices(`/accessors/${i}`, sparse, count, report)
+    ) {
+      sparse = null;
+    }
+    if (sparse || !view) {
+      accessor.materialize(sparse);
+    }
+    accessors.push(accessor);
   }
   return accessors;
 }
 
-async function loadImages(jsonChunk: any, bufferViews: GLTFBufferView[]) {
+async function loadImages(
+  jsonChunk: any,
+  bufferViews: GLTFBufferView[],
+  resolver: GLTFURIResolver,
+  report: GLTFValidationReport
+) {
   let images: GLTFImage[] = [];
   if (!jsonChunk.images) {
     return images;
   }
-  for (let img of jsonChunk.images) {
-    const bv = bufferViews[img["bufferView"]];
-    const blob = new Blob([bv.view], { type: img["mimeType"] });
-    const bitmap = await createImageBitmap(blob);
-    images.push(new GLTFImage(bitmap));
+  for (let i = 0; i < jsonChunk.images.length; ++i) {
+    const img = jsonChunk.images[i];
+    // Images are either stored in a buffer view, in which case the mimeType
+    // is required, or referenced by a URI to an external file or data URI
+    let data: Uint8Array = null;
+    let mimeType = img["mimeType"] as string;
+    if ("uri" in img) {
+      const uri = img["uri"] as string;
+      const contents = await loadURI(uri, resolver, `/images/${i}/uri`, report);
+      if (!contents) {
+        continue;
+      }
+      data = new Uint8Array(contents);
+      if (!mimeType) {
+        mimeType = isDataURI(uri)
+          ? dataURIMimeType(uri)
+          : guessImageMimeType(uri);
+      }
+    } else {
+      data = bufferViews[img["bufferView"]].view;
+    }
+    images.push(new GLTFImage(mimeType, data));
   }
   return images;
 }
@@ -177,7 +524,7 @@ function loadTextures(
   }
   const defaultSampler = new GLTFSampler(
     GLTFTextureFilter.LINEAR,
-    GLTFTextureFilter.LINEAR,
+    GLTFTextureFilter.LINEAR_MIPMAP_LINEAR,
     GLTFTextureWrap.REPEAT,
     GLTFTextureWrap.REPEAT
   );
@@ -186,14 +533,18 @@ function loadTextures(
   for (let t of jsonChunk.textures) {
     console.log(t);
     let sampler = null;
-    if ("sampler" in t && t["samplers"] < samplers.length) {
+    if ("sampler" in t && t["sampler"] < samplers.length) {
       sampler = samplers[t["sampler"]];
     } else {
       // If no sampler was specified, use the default
       sampler = defaultSampler;
       usedDefaultSampler = true;
     }
-    textures.push(new GLTFTexture(sampler, images[t["source"]]));
+    // KHR_texture_basisu images take precedence over the source, which
+    // is an optional fallback image for loaders without KTX2 support
+    const source =
+      t["extensions"]?.["KHR_texture_basisu"]?.["source"] ?? t["source"];
+    textures.push(new GLTFTexture(sampler, images[source]));
   }
   // If we used the default sampler add it to the samplers list so its
   // GPU resources will be created
@@ -203,34 +554,211 @@ function loadTextures(
   return textures;
 }
 
-function loadMaterials(jsonChunk: any, textures: GLTFTexture[]) {
-  let materials = [];
-  for (let m of jsonChunk.materials) {
+// Load a material's texture reference, returning null if the material doesn't
+// reference the texture. The KHR_texture_transform extension can override the
+// texture coordinate set along with transforming the texture coordinates
+function loadTextureInfo(
+  info: any,
+  pointer: string,
+  textures: GLTFTexture[],
+  report: GLTFValidationReport
+) {
+  if (!info) {
+    return null;
+  }
+  const transform = info["extensions"]?.["KHR_texture_transform"];
+  let texCoord = transform?.["texCoord"] ?? info["texCoord"] ?? 0;
+  // We only pass the TEXCOORD_0 and TEXCOORD_1 attributes to the shader
+  if (texCoord > 1) {
+    report.warning(
+      pointer,
+      `Unsupported texture coordinate set TEXCOORD_${texCoord}, using TEXCOORD_0`
+    );
+    texCoord = 0;
+  }
+  let textureInfo = new GLTFTextureInfo(textures[info["index"]], texCoord);
+  if (transform) {
+    textureInfo.setTransform(
+      transform["offset"] ?? [0, 0],
+      transform["rotation"] ?? 0,
+      transform["scale"] ?? [1, 1]
+    );
+  }
+  return textureInfo;
+}
+
+// Load the properties of the material extensions we support into the material
+function loadMaterialExtensions(
+  extensions: any,
+  pointer: string,
+  material: GLTFMaterial,
+  textures: GLTFTexture[],
+  report: GLTFValidationReport
+) {
+  const emissiveStrength = extensions["KHR_materials_emissive_strength"];
+  if (emissiveStrength) {
+    material.setEmissiveStrength(emissiveStrength["emissiveStrength"] ?? 1);
+  }
+  const ior = extensions["KHR_materials_ior"];
+  if (ior) {
+    material.setIor(ior["ior"] ?? 1.5);
+  }
+  const specular = extensions["KHR_materials_specular"];
+  if (specular) {
+    material.setSpecular(
+      specular["specularFactor"] ?? 1,
+      loadTextureInfo(
+        specular["specularTexture"],
+        `${pointer}/extensions/KHR_materials_specular/specularTexture`,
+        textures,
+        report
+      ),
+      specular["specularColorFactor"] ?? [1, 1, 1],
+      loadTextureInfo(
+        specular["specularColorTexture"],
+        `${pointer}/extensions/KHR_materials_specular/specularColorTexture`,
+        textures,
+        report
+      )
+    );
+  }
+  const clearcoat = extensions["KHR_materials_clearcoat"];
+  if (clearcoat) {
+    material.setClearcoat(
+      clearcoat["clearcoatFactor"] ?? 0,
+      loadTextureInfo(
+        clearcoat["clearcoatTexture"],
+        `${pointer}/extensions/KHR_materials_clearcoat/clearcoatTexture`,
+        textures,
+        report
+      ),
+      clearcoat["clearcoatRoughnessFactor"] ?? 0,
+      loadTextureInfo(
+        clearcoat["clearcoatRoughnessTexture"],
+        `${pointer}/extensions/KHR_materials_clearcoat/clearcoatRoughnessTexture`,
+        textures,
+        report
+      ),
+      loadTextureInfo(
+        clearcoat["clearcoatNormalTexture"],
+        `${pointer}/extensions/KHR_materials_clearcoat/clearcoatNormalTexture`,
+        textures,
+        report
+      ),
+      clearcoat["clearcoatNormalTexture"]?.["scale"] ?? 1
+    );
+  }
+  const sheen = extensions["KHR_materials_sheen"];
+  if (sheen) {
+    material.setSheen(
+      sheen["sheenColorFactor"] ?? [0, 0, 0],
+      loadTextureInfo(
+        sheen["sheenColorTexture"],
+        `${pointer}/extensions/KHR_materials_sheen/sheenColorTexture`,
+        textures,
+        report
+      ),
+      sheen["sheenRoughnessFactor"] ?? 0,
+      loadTextureInfo(
+        sheen["sheenRoughnessTexture"],
+        `${pointer}/extensions/KHR_materials_sheen/sheenRoughnessTexture`,
+        textures,
+        report
+      )
+    );
+  }
+  if ("KHR_materials_unlit" in extensions) {
+    material.setUnlit(true);
+  }
+}
+
+function loadMaterials(
+  jsonChunk: any,
+  textures: GLTFTexture[],
+  report: GLTFValidationReport
+) {
+  let materials: GLTFMaterial[] = [];
+  if (!jsonChunk.materials) {
+    return materials;
+  }
+  for (let i = 0; i < jsonChunk.materials.length; ++i) {
+    const m = jsonChunk.materials[i];
+    const pointer = `/materials/${i}`;
     console.log(m);
-    const pbrMR = m["pbrMetallicRoughness"];
+    // All the metallic-roughness properties are optional, and
+    // default to a white, fully metallic and rough material
+    const pbrMR = m["pbrMetallicRoughness"] ?? {};
     // Default base color factor of 1, 1, 1
     const baseColorFactor = pbrMR["baseColorFactor"] ?? [1, 1, 1, 1];
     const metallicFactor = pbrMR["metallicFactor"] ?? 1;
     const roughnessFactor = pbrMR["roughnessFactor"] ?? 1;
 
-    let baseColorTexture: GLTFTexture | null = null;
-    if ("baseColorTexture" in pbrMR) {
-      baseColorTexture = textures[pbrMR["baseColorTexture"]["index"]];
-    }
-    let metallicRoughnessTexture: GLTFTexture | null = null;
-    if ("metallicRoughnessTexture" in pbrMR) {
-      metallicRoughnessTexture =
-        textures[pbrMR["metallicRoughnessTexture"]["index"]];
-    }
-    materials.push(
-      new GLTFMaterial(
-        baseColorFactor,
-        baseColorTexture,
-        metallicFactor,
-        roughnessFactor,
-        metallicRoughnessTexture
+    let material = new GLTFMaterial(
+      baseColorFactor,
+      loadTextureInfo(
+        pbrMR["baseColorTexture"],
+        `${pointer}/pbrMetallicRoughness/baseColorTexture`,
+        textures,
+        report
+      ),
+      metallicFactor,
+      roughnessFactor,
+      loadTextureInfo(
+        pbrMR["metallicRoughnessTexture"],
+        `${pointer}/pbrMetallicRoughness/metallicRoughnessTexture`,
+        textures,
+        report
+      )
+    );
+    if ("normalTexture" in m) {
+      material.setNormalTexture(
+        loadTextureInfo(
+          m["normalTexture"],
+          `${pointer}/normalTexture`,
+          textures,
+          report
+        ),
+        m["normalTexture"]["scale"] ?? 1
+      );
+    }
+    if ("occlusionTexture" in m) {
+      material.setOcclusionTexture(
+        loadTextureInfo(
+          m["occlusionTexture"],
+          `${pointer}/occlusionTexture`,
+          textures,
+          report
+        ),
+        m["occlusionTexture"]["strength"] ?? 1
+      );
+    }
+    material.setEmissive(
+      m["emissiveFactor"] ?? [0, 0, 0],
+      loadTextureInfo(
+        m["emissiveTexture"],
+        `${pointer}/emissiveTexture`,
+        textures,
+        report
       )
     );
+    let alphaMode = m["alphaMode"] ?? GLTFAlphaMode.OPAQUE;
+    if (!Object.values(GLTFAlphaMode).includes(alphaMode)) {
+      report.warning(
+        `${pointer}/alphaMode`,
+        `Unsupported alpha mode ${alphaMode}, using OPAQUE`
+      );
+      alphaMode = GLTFAlphaMode.OPAQUE;
+    }
+    material.setAlphaMode(alphaMode, m["alphaCutoff"] ?? 0.5);
+    material.setDoubleSided(m["doubleSided"] ?? false);
+    loadMaterialExtensions(
+      m["extensions"] ?? {},
+      pointer,
+      material,
+      textures,
+      report
+    );
+    materials.push(material);
   }
   return materials;
 }
@@ -240,57 +768,152 @@ function loadMeshes(
   accessors: GLTFAccessor[],
   materials: GLTFMaterial[]
 ) {
-  let meshes = [];
+  let meshes: GLTFMesh[] = [];
+  if (!jsonChunk.meshes) {
+    return meshes;
+  }
+  // Primitives without a material use the default material
+  // from the spec, which has the default material properties
+  const defaultMaterial = new GLTFMaterial([1, 1, 1, 1], null, 1, 1, null);
+  let usedDefaultMaterial = false;
+
   for (let mesh of jsonChunk.meshes) {
     let meshPrimitives = [];
     for (let prim of mesh.primitives) {
+      // Default is triangles if mode specified, other modes
+      // are checked to be valid by validateGLTFJSON
       let topology = prim["mode"];
-      // Default is triangles if mode specified
       if (topology === undefined) {
         topology = GLTFRenderMode.TRIANGLES;
       }
-      if (
-        topology != GLTFRenderMode.TRIANGLES &&
-        topology != GLTFRenderMode.TRIANGLE_STRIP
-      ) {
-        throw Error(`Unsupported primitive mode ${prim["mode"]}`);
-      }
 
       let indices = null;
       if (jsonChunk["accessors"][prim["indices"]] !== undefined) {
         indices = accessors[prim["indices"]];
       }
 
-      // Loop through all the attributes to find the POSITION attribute.
-      // While we only want the position attribute right now, we'll load
-      // the others later as well.
-      let positions = null;
-      let texcoords = null;
+      // Collect all the vertex attributes of the primitive. The standard attributes
+      // are passed to the shader, custom attributes (prefixed with _) are stored
+      // on the primitive for applications to use
+      let attributes = new Map<string, GLTFAccessor>();
       for (let attr in prim["attributes"]) {
-        let accessor = accessors[prim["attributes"][attr]];
-        if (attr === "POSITION") {
-          positions = accessor;
-        } else if (attr === "TEXCOORD_0") {
-          texcoords = accessor;
+        attributes.set(attr, accessors[prim["attributes"][attr]]);
+      }
+
+      // Collect the morph targets of the primitive
+      let targets = [];
+      for (let t of prim["targets"] ?? []) {
+        let target = new Map<string, GLTFAccessor>();
+        for (let attr in t) {
+          target.set(attr, accessors[t[attr]]);
+        }
+        targets.push(target);
+      }
+
+      // WebGPU has no line loop or triangle fan topologies, so we convert them to
+      // line and triangle lists. WebGPU also doesn't support 8 bit indices, so
+      // these are converted to 16 bit indices
+      if (
+        topology == GLTFRenderMode.LINE_LOOP ||
+        topology == GLTFRenderMode.TRIANGLE_FAN
+      ) {
+        const vertexIndices = indices
+          ? indices.readIndices()
+          : sequentialIndices(attributes.get("POSITION").count);
+        if (topology == GLTFRenderMode.LINE_LOOP) {
+          indices = makeIndexAccessor(lineLoopToLines(vertexIndices));
+          topology = GLTFRenderMode.LINE;
+        } else {
+          indices = makeIndexAccessor(triangleFanToTriangles(vertexIndices));
+          topology = GLTFRenderMode.TRIANGLES;
         }
+      } else if (indices?.componentType == GLTFComponentType.UNSIGNED_BYTE) {
+        indices = makeIndexAccessor(indices.readIndices());
+      }
+
+      // Points are drawn as instanced quads with one instance per vertex,
+      // so indexed points are replaced by the vertices they index
+      if (topology == GLTFRenderMode.POINTS && indices) {
+        const vertexIndices = indices.readIndices();
+        for (let [attr, accessor] of attributes) {
+          attributes.set(attr, accessor.gather(vertexIndices));
+        }
+        for (let target of targets) {
+          for (let [attr, accessor] of target) {
+            target.set(attr, accessor.gather(vertexIndices));
+          }
+        }
+        indices = null;
       }
 
       // Lookup the material for the primitive
-      let mat = materials[prim["material"]];
+      let mat = defaultMaterial;
+      if ("material" in prim) {
+        mat = materials[prim["material"]];
+      } else {
+        usedDefaultMaterial = true;
+      }
 
       // Add the primitive to the mesh's list of primitives
       meshPrimitives.push(
-        new GLTFPrimitive(mat, positions, indices, texcoords, topology)
+        new GLTFPrimitive(mat, attributes, indices, topology, targets)
       );
     }
-    meshes.push(new GLTFMesh(mesh["name"], meshPrimitives));
+    meshes.push(new GLTFMesh(mesh["name"], meshPrimitives, mesh["weights"]));
+  }
+  // If we used the default material add it to the materials list so its
+  // GPU resources will be created
+  if (usedDefaultMaterial) {
+    materials.push(defaultMaterial);
   }
   return meshes;
 }
 
-// Upload a GLB model and return it
-export async function uploadGLB(buffer: ArrayBuffer, device: GPUDevice) {
-  document.getElementById("loading-text").hidden = false;
+function sequentialIndices(count: number) {
+  let indices = new Uint32Array(count);
+  for (let i = 0; i < count; ++i) {
+    indices[i] = i;
+  }
+  return indices;
+}
+
+// Convert a line loop to a line list, closing the loop with a line from the
+// last vertex back to the first
+function lineLoopToLines(indices: Uint32Array) {
+  if (indices.length < 2) {
+    return new Uint32Array(0);
+  }
+  let lines = new Uint32Array(indices.length * 2);
+  for (let i = 0; i < indices.length; ++i) {
+    lines[i * 2] = indices[i];
+    lines[i * 2 + 1] = indices[(i + 1) % indices.length];
+  }
+  return lines;
+}
+
+// Convert a triangle fan to a triangle list. The winding of triangle i
+// is (i + 1, i + 2, 0) as given in the glTF spec
+function triangleFanToTriangles(indices: Uint32Array) {
+  const numTriangles = Math.max(indices.length - 2, 0);
+  let triangles = new Uint32Array(numTriangles * 3);
+  for (let i = 0; i < numTriangles; ++i) {
+    triangles[i * 3] = indices[i + 1];
+    triangles[i * 3 + 1] = indices[i + 2];
+    triangles[i * 3 + 2] = indices[0];
+  }
+  return triangles;
+}
+
+// Parse a GLB model into a GLTFDocument holding its scenes. External buffers or
+// images referenced by the glB file are loaded through the resolver, and Draco
+// compressed meshes are decoded with the decoder loaded by dracoDecoder. Parsing
+// doesn't use the DOM or GPU, the document is uploaded by uploadGLTFDocument
+export async function parseGLB(
+  buffer: ArrayBuffer,
+  resolver: GLTFURIResolver = noExternalResolver,
+  dracoDecoder: DracoDecoderLoader = null
+) {
+  let report = new GLTFValidationReport();
   // glB has a JSON chunk and a binary chunk, potentially followed by
   // other chunks specifying extension specific data, which we ignore
   // since we don't support any extensions.
@@ -302,46 +925,159 @@ export async function uploadGLB(buffer: ArrayBuffer, device: GPUDevice) {
   // JSON chunk header
   // - chunkLength: u32 (size of the chunk, in bytes)
   // - chunkType: u32 (expect: 0x4E4F534A for the JSON chunk)
-  let header = new Uint32Array(buffer, 0, 5);
-  if (header[0] != 0x46546c67) {
-    throw Error("Provided file is not a glB file");
+  if (buffer.byteLength < 20) {
+    report.error("", "File is too small to be a glB file");
+    report.throwOnErrors();
   }
-  if (header[1] != 2) {
-    throw Error("Provided file is glTF 2.0 file");
+  // The chunks are read through a DataView, since they may not be
+  // aligned in invalid files
+  let header = new DataView(buffer);
+  if (header.getUint32(0, true) != 0x46546c67) {
+    report.error("", "File is not a glB file");
+  } else if (header.getUint32(4, true) != 2) {
+    report.error(
+      "",
+      `Unsupported glB version ${header.getUint32(4, true)}, only version 2 is supported`
+    );
   }
-  if (header[4] != 0x4e4f534a) {
-    throw Error(
-      "Invalid glB: The first chunk of the glB file is not a JSON chunk!"
+  report.throwOnErrors();
+
+  // Data past the length in the header is ignored, while a file shorter
+  // than the length has been truncated
+  const length = header.getUint32(8, true);
+  if (length > buffer.byteLength) {
+    report.error(
+      "",
+      `glB length ${length} is larger than the file size ${buffer.byteLength}, the file may be truncated`
+    );
+  } else if (length < buffer.byteLength) {
+    report.warning(
+      "",
+      `glB length ${length} is smaller than the file size ${buffer.byteLength}, the remaining data is ignored`
     );
   }
+  const jsonLength = header.getUint32(12, true);
+  if (header.getUint32(16, true) != 0x4e4f534a) {
+    report.error("", "The first chunk of the glB file is not a JSON chunk");
+  } else if (20 + jsonLength > length) {
+    report.error("", "The JSON chunk runs past the end of the glB file");
+  }
+  report.throwOnErrors();
+  // Chunks are padded to 4 bytes, so that the data in the following chunk is aligned
+  if (jsonLength % 4 != 0) {
+    report.warning("", `JSON chunk length ${jsonLength} is not 4 byte aligned`);
+  }
 
   // Parse the JSON chunk of the glB file to a JSON object
-  let jsonChunk = JSON.parse(
-    new TextDecoder("utf-8").decode(new Uint8Array(buffer, 20, header[3]))
-  );
-
-  // Read the binary chunk header
-  // - chunkLength: u32 (size of the chunk, in bytes)
-  // - chunkType: u32 (expect: 0x46546C67 for the binary chunk)
-  let binaryHeader = new Uint32Array(buffer, 20 + header[3], 2);
-  if (binaryHeader[1] != 0x004e4942) {
-    throw Error(
-      "Invalid glB: The second chunk of the glB file is not a binary chunk!"
+  let jsonChunk = null;
+  try {
+    jsonChunk = JSON.parse(
+      new TextDecoder("utf-8").decode(new Uint8Array(buffer, 20, jsonLength))
     );
+  } catch (err) {
+    report.error("", `Invalid JSON chunk: ${(err as Error).message}`);
+    report.throwOnErrors();
+  }
+
+  // The binary chunk is optional, e.g., if all the buffers are external
+  // files or the file doesn't contain any buffers
+  let binaryChunk = null;
+  const binaryOffset = 20 + jsonLength;
+  if (binaryOffset + 8 <= length) {
+    // Read the binary chunk header
+    // - chunkLength: u32 (size of the chunk, in bytes)
+    // - chunkType: u32 (expect: 0x004E4942 for the binary chunk)
+    const binaryLength = header.getUint32(binaryOffset, true);
+    const binaryType = header.getUint32(binaryOffset + 4, true);
+    if (binaryType != 0x004e4942) {
+      // The binary chunk must be the second chunk if present, other chunks
+      // are used by extensions and we ignore them
+      report.warning(
+        "",
+        `Ignoring glB chunk of unknown type 0x${binaryType.toString(16)}`
+      );
+    } else if (binaryOffset + 8 + binaryLength > length) {
+      report.error("", "The binary chunk runs past the end of the glB file");
+    } else {
+      if (binaryLength % 4 != 0) {
+        report.warning(
+          "",
+          `Binary chunk length ${binaryLength} is not 4 byte aligned`
+        );
+      }
+      // Make a GLTFBuffer that is a view of the entire binary chunk's data,
+      // we'll use this to create buffer views within the chunk for memory referenced
+      // by objects in the glTF scene
+      binaryChunk = new GLTFBuffer(buffer, binaryOffset + 8, binaryLength);
+    }
+  } else if (binaryOffset < length) {
+    report.error("", "The glB file ends within a chunk header");
   }
-  // Make a GLTFBuffer that is a view of the entire binary chunk's data,
-  // we'll use this to create buffer views within the chunk for memory referenced
-  // by objects in the glTF scene
-  let binaryChunk = new GLTFBuffer(buffer, 28 + header[3], binaryHeader[0]);
+  report.throwOnErrors();
 
-  // Load the buffer views
-  const bufferViews = loadBufferViews(jsonChunk, binaryChunk);
+  return parseGLTFJSON(jsonChunk, binaryChunk, resolver, dracoDecoder, report);
+}
+
+// Parse a .gltf model into a GLTFDocument holding its scenes. The glTF JSON can
+// be passed as a string or already parsed object. Buffers and images stored in
+// external files are loaded through the resolver, data URIs are decoded directly.
+// Draco compressed meshes are decoded with the decoder loaded by dracoDecoder
+export async function parseGLTF(
+  json: string | any,
+  resolver: GLTFURIResolver = noExternalResolver,
+  dracoDecoder: DracoDecoderLoader = null
+) {
+  let report = new GLTFValidationReport();
+  let jsonChunk = json;
+  if (typeof json === "string") {
+    try {
+      jsonChunk = JSON.parse(json);
+    } catch (err) {
+      report.error("", `Invalid JSON: ${(err as Error).message}`);
+      report.throwOnErrors();
+    }
+  }
+  return parseGLTFJSON(jsonChunk, null, resolver, dracoDecoder, report);
+}
+
+async function parseGLTFJSON(
+  jsonChunk: any,
+  binaryChunk: GLTFBuffer | null,
+  resolver: GLTFURIResolver,
+  dracoDecoder: DracoDecoderLoader,
+  report: GLTFValidationReport
+) {
+  // Validate the file before loading it, loading is aborted if there are errors
+  validateGLTFJSON(jsonChunk, report);
+  report.throwOnErrors();
+
+  // Load all the buffers, either from the glB binary chunk or external/data URIs
+  const buffers = await loadBuffers(jsonChunk, binaryChunk, resolver, report);
+  report.throwOnErrors();
+
+  // Load the buffer views, decoding any compressed with EXT_meshopt_compression
+  const bufferViews = await loadBufferViews(jsonChunk, buffers, report);
+  report.throwOnErrors();
+
+  // Decode the Draco compressed primitives' data for their accessors
+  const dracoViews = await decodeDracoPrimitives(
+    jsonChunk,
+    bufferViews,
+    dracoDecoder,
+    report
+  );
+  report.throwOnErrors();
 
   // Load the GLTF accessors
-  const accessors = loadAccessors(jsonChunk, bufferViews);
+  const accessors = loadAccessors(jsonChunk, bufferViews, dracoViews, report);
+
+  // Check the indices are in range before the meshes read their vertices
+  validateIndices(jsonChunk, accessors, report);
+  report.throwOnErrors();
 
-  // Load and decode all the images in the file
-  const images = await loadImages(jsonChunk, bufferViews);
+  // Load all the images in the file, these are decoded when uploading
+  const images = await loadImages(jsonChunk, bufferViews, resolver, report);
+  report.throwOnErrors();
 
   // Load all the samplers in the file
   const samplers = loadSamplers(jsonChunk);
@@ -352,63 +1088,39 @@ export async function uploadGLB(buffer: ArrayBuffer, device: GPUDevice) {
   console.log(textures);
 
   // Load all the materials
-  const materials = loadMaterials(jsonChunk, textures);
+  const materials = loadMaterials(jsonChunk, textures, report);
   console.log(materials);
 
   // Load all meshes
   const meshes = loadMeshes(jsonChunk, accessors, materials);
   console.log(meshes);
 
-  // Create all samplers
-  // Upload the buffer views used by mesh
-  bufferViews.forEach((bv: GLTFBufferView) => {
-    if (bv.needsUpload) {
-      bv.upload(device);
-    }
-  });
-  // Upload all images, now that we know their usage and can pick the right
-  // GPU texture format
-  images.forEach((img: GLTFImage) => {
-    img.upload(device);
-  });
-  samplers.forEach((s: GLTFSampler) => {
-    s.create(device);
-  });
-  // Create bind groups and UBOs for materials
-  materials.forEach((mat: GLTFMaterial) => {
-    mat.upload(device);
-  });
-
-  // Build the default GLTFScene, we just take all the mesh nodes for now
-  let defaultSceneNodes = jsonChunk["scenes"][0]["nodes"];
-
-  // If we have a default scene, load it, otherwise we use the first scene
-  if ("scenes" in jsonChunk) {
-    defaultSceneNodes = jsonChunk["scenes"][jsonChunk["scene"]]["nodes"];
-  }
-
-  let defaultNodes = [];
-  for (let i = 0; i < defaultSceneNodes.length; ++i) {
-    // Get each node referenced by the scene and flatten it and its children
-    // out to a single-level scene so that we don't need to keep track of nested
-    // transforms in the renderer
-    // TODO: We'll need to put a bit more thought here when we start handling animated nodes
-    // in the hierarchy. For now this is fine.
-    let n = jsonChunk["nodes"][defaultSceneNodes[i]];
-    let identity = mat4.create();
-    mat4.identity(identity);
-    let flattenedNodes = flattenTree(jsonChunk["nodes"], n, identity);
-
-    // Add all the mesh nodes in the flattened node list to the scene's default nodes
-    for (let fn of flattenedNodes) {
-      if ("mesh" in fn && fn["mesh"] != undefined) {
-        defaultNodes.push(
-          new GLTFNode(n["name"], fn["matrix"], meshes[fn["mesh"]])
-        );
-      }
-    }
-  }
-  document.getElementById("loading-text").hidden = true;
+  // Load the node hierarchy, skins and the animations targeting the nodes
+  const lights = loadLights(jsonChunk);
+  const cameras = loadCameras(jsonChunk);
+  const nodes = loadNodes(jsonChunk, meshes, lights, cameras);
+  const skins = loadSkins(jsonChunk, accessors, nodes);
+  const animations = loadAnimations(jsonChunk, accessors, nodes);
+
+  const scenes = loadScenes(jsonChunk, nodes, animations);
 
-  return new GLTFScene(defaultNodes);
+  let gltf = new GLTFDocument(scenes, jsonChunk["scene"] ?? null);
+  gltf.buffers = buffers;
+  gltf.bufferViews = bufferViews;
+  gltf.accessors = accessors;
+  gltf.images = images;
+  gltf.samplers = samplers;
+  gltf.textures = textures;
+  gltf.materials = materials;
+  gltf.meshes = meshes;
+  gltf.nodes = nodes;
+  gltf.skins = skins;
+  gltf.lights = lights;
+  gltf.cameras = cameras;
+  gltf.animations = animations;
+  gltf.issues = report.issues;
+  for (let issue of report.issues) {
+    console.warn(issue.toString());
+  }
+  return gltf;
 }
@@ -0,0 +1,128 @@
+// A decoded high dynamic range image, with linear RGBA float pixels
+// stored in rows from top to bottom
+export class HDRImage {
+  width: number;
+  height: number;
+  data: Float32Array;
+
+  constructor(width: number, height: number, data: Float32Array) {
+    this.width = width;
+    this.height = height;
+    this.data = data;
+  }
+}
+
+// Parse a Radiance .hdr (RGBE) image. Scanlines can be stored uncompressed or
+// with the adaptive run length encoding used by most tools that write .hdr files
+export function parseHDR(buffer: ArrayBuffer) {
+  const bytes = new Uint8Array(buffer);
+  let pos = 0;
+  const readLine = () => {
+    let line = "";
+    while (pos < bytes.length && bytes[pos] != 0x0a) {
+      line += String.fromCharCode(bytes[pos++]);
+    }
+    // Skip the newline
+    ++pos;
+    return line;
+  };
+
+  const magic = readLine();
+  if (!magic.startsWith("#?RADIANCE") && !magic.startsWith("#?RGBE")) {
+    throw Error("Provided file is not a Radiance HDR file");
+  }
+  // The header ends with an empty line, followed by the resolution string
+  for (let line = readLine(); line != ""; line = readLine()) {
+    if (line.startsWith("FORMAT=") && line != "FORMAT=32-bit_rle_rgbe") {
+      throw Error(`Unsupported HDR pixel format ${line.substring(7)}`);
+    }
+    if (pos >= bytes.length) {
+      throw Error("Invalid HDR file, missing end of header");
+    }
+  }
+  // We only support the standard image orientation, with rows
+  // stored from top to bottom and pixels from left to right
+  const resolution = readLine().match(/^-Y (\d+) \+X (\d+)$/);
+  if (!resolution) {
+    throw Error("Unsupported HDR image orientation");
+  }
+  const height = parseInt(resolution[1]);
+  const width = parseInt(resolution[2]);
+
+  let data = new Float32Array(width * height * 4);
+  let scanline = new Uint8Array(width * 4);
+  for (let y = 0; y < height; ++y) {
+    pos = readScanline(bytes, pos, scanline, width);
+    for (let x = 0; x < width; ++x) {
+      // The shared exponent is biased by 128, and the mantissas are 8 bit
+      const e = scanline[x * 4 + 3];
+      const scale = e == 0 ? 0 : Math.pow(2, e - 136);
+      const i = (y * width + x) * 4;
+      data[i] = scanline[x * 4] * scale;
+      data[i + 1] = scanline[x * 4 + 1] * scale;
+      data[i + 2] = scanline[x * 4 + 2] * scale;
+      data[i + 3] = 1;
+    }
+  }
+  return new HDRImage(width, height, data);
+}
+
+// Read a scanline of RGBE pixels into the scanline buffer and return
+// the position of the next scanline in the file
+function readScanline(
+  bytes: Uint8Array,
+  pos: number,
+  scanline: Uint8Array,
+  width: number
+) {
+  if (pos + 4 > bytes.length) {
+    throw Error("Invalid HDR file, unexpected end of file");
+  }
+  // Run length encoded scanlines start with 2, 2 followed by the scanline width.
+  // Scanlines outside the width range that can be encoded are stored uncompressed
+  const isRLE =
+    width >= 8 &&
+    width < 0x8000 &&
+    bytes[pos] == 2 &&
+    bytes[pos + 1] == 2 &&
+    ((bytes[pos + 2] << 8) | bytes[pos + 3]) == width;
+  if (!isRLE) {
+    if (pos + width * 4 > bytes.length) {
+      throw Error("Invalid HDR file, unexpected end of file");
+    }
+    scanline.set(bytes.subarray(pos, pos + width * 4));
+    return pos + width * 4;
+  }
+
+  // Each channel of the scanline is encoded separately as a sequence of runs
+  // of a single value, or literal sequences of values
+  pos += 4;
+  for (let c = 0; c < 4; ++c) {
+    let x = 0;
+    while (x < width) {
+      if (pos >= bytes.length) {
+        throw Error("Invalid HDR file, unexpected end of file");
+      }
+      let count = bytes[pos++];
+      if (count > 128) {
+        count -= 128;
+        if (x + count > width) {
+          throw Error("Invalid HDR file, bad scanline run length");
+        }
+        const value = bytes[pos++];
+        for (let i = 0; i < count; ++i) {
+          scanline[(x + i) * 4 + c] = value;
+        }
+      } else {
+        if (count == 0 || x + count > width) {
+          throw Error("Invalid HDR file, bad scanline run length");
+        }
+        for (let i = 0; i < count; ++i) {
+          scanline[(x + i) * 4 + c] = bytes[pos++];
+        }
+      }
+      x += count;
+    }
+  }
+  return pos;
+}
@@ -0,0 +1,384 @@
+// KTX2 images from the KHR_texture_basisu extension store their data in one of the
+// Basis Universal supercompressed formats, ETC1S or UASTC. These are transcoded to
+// a compressed format the GPU supports by the Basis Universal WASM transcoder,
+// which runs in a worker so that transcoding large images doesn't block the page.
+
+// The transcoder's JS and WASM files (basis_transcoder.js and basis_transcoder.wasm
+// from the basis_universal repo) are loaded from this path, relative to the page
+let transcoderPath = "basis/";
+
+// Set the path the Basis Universal transcoder is loaded from. Must be called
+// before loading any files with KTX2 images
+export function setKTX2TranscoderPath(path: string) {
+  transcoderPath = path.endsWith("/") ? path : path + "/";
+}
+
+// A KTX2 image transcoded to a format the GPU supports, with its pre-encoded mip levels.
+// The format is the linear variant, images storing color data use its sRGB variant
+export class KTX2Image {
+  width: number;
+  height: number;
+  format: GPUTextureFormat;
+  // The size of the format's blocks in pixels and bytes. Uncompressed
+  // images are treated as having 1x1 blocks
+  blockSize: number;
+  bytesPerBlock: number;
+  levels: Array<ArrayBuffer>;
+
+  constructor(
+    width: number,
+    height: number,
+    format: GPUTextureFormat,
+    blockSize: number,
+    bytesPerBlock: number,
+    levels: Array<ArrayBuffer>
+  ) {
+    this.width = width;
+    this.height = height;
+    this.format = format;
+    this.blockSize = blockSize;
+    this.bytesPerBlock = bytesPerBlock;
+    this.levels = levels;
+  }
+
+  get isCompressed() {
+    return this.blockSize > 1;
+  }
+
+  // Upload the image's mip levels to the texture, which must have been
+  // created with the image's size, format and number of mip levels
+  upload(device: GPUDevice, texture: GPUTexture) {
+    for (let i = 0; i < this.levels.length; ++i) {
+      // Compressed mip levels are stored as whole blocks, so the size
+      // copied is the level size rounded up to the block size
+      const blocksX = Math.ceil(Math.max(this.width >> i, 1) / this.blockSize);
+      const blocksY = Math.ceil(Math.max(this.height >> i, 1) / this.blockSize);
+      device.queue.writeTexture(
+        { texture: texture, mipLevel: i },
+        this.levels[i],
+        { bytesPerRow: blocksX * this.bytesPerBlock, rowsPerImage: blocksY },
+        [blocksX * this.blockSize, blocksY * this.blockSize, 1]
+      );
+    }
+  }
+}
+
+// The transcoder target formats we use, from transcoder_texture_format in
+// basisu_transcoder.h
+enum BasisFormat {
+  ETC1_RGB = 0,
+  ETC2_RGBA = 1,
+  BC1_RGB = 2,
+  BC7_RGBA = 6,
+  ASTC_4x4_RGBA = 10,
+  RGBA32 = 13,
+}
+
+// A format the Basis Universal data can be transcoded to and the
+// GPU texture format the transcoded data is uploaded to
+type TranscodeTarget = {
+  basisFormat: BasisFormat;
+  format: GPUTextureFormat;
+  blockSize: number;
+  bytesPerBlock: number;
+};
+
+const etc1Target: TranscodeTarget = {
+  basisFormat: BasisFormat.ETC1_RGB,
+  format: "etc2-rgb8unorm",
+  blockSize: 4,
+  bytesPerBlock: 8,
+};
+const etc2Target: TranscodeTarget = {
+  basisFormat: BasisFormat.ETC2_RGBA,
+  format: "etc2-rgba8unorm",
+  blockSize: 4,
+  bytesPerBlock: 16,
+};
+const bc1Target: TranscodeTarget = {
+  basisFormat: BasisFormat.BC1_RGB,
+  format: "bc1-rgba-unorm",
+  blockSize: 4,
+  bytesPerBlock: 8,
+};
+const bc7Target: TranscodeTarget = {
+  basisFormat: BasisFormat.BC7_RGBA,
+  format: "bc7-rgba-unorm",
+  blockSize: 4,
+  bytesPerBlock: 16,
+};
+const astcTarget: TranscodeTarget = {
+  basisFormat: BasisFormat.ASTC_4x4_RGBA,
+  format: "astc-4x4-unorm",
+  blockSize: 4,
+  bytesPerBlock: 16,
+};
+const rgba8Target: TranscodeTarget = {
+  basisFormat: BasisFormat.RGBA32,
+  format: "rgba8unorm",
+  blockSize: 1,
+  bytesPerBlock: 4,
+};
+
+// The targets to transcode ETC1S and UASTC images to, for images with and without
+// alpha. Images whose size isn't a multiple of the block size use the fallback
+type TranscodeTargets = {
+  etc1s: { opaque: TranscodeTarget; alpha: TranscodeTarget };
+  uastc: { opaque: TranscodeTarget; alpha: TranscodeTarget };
+  fallback: TranscodeTarget;
+};
+
+// Pick the transcode targets based on the compressed texture formats enabled on the
+// device. ETC1S maps best to ETC and BC1, while UASTC is a subset of ASTC and
+// transcodes to BC7 or ETC2 with little loss. Without any compressed formats we
+// fall back to uncompressed RGBA8
+function selectTranscodeTargets(device: GPUDevice): TranscodeTargets {
+  const astc = device.features.has("texture-compression-astc");
+  const bc = device.features.has("texture-compression-bc");
+  const etc2 = device.features.has("texture-compression-etc2");
+
+  let targets = {
+    etc1s: { opaque: rgba8Target, alpha: rgba8Target },
+    uastc: { opaque: rgba8Target, alpha: rgba8Target },
+    fallback: rgba8Target,
+  };
+  if (etc2) {
+    targets.etc1s = { opaque: etc1Target, alpha: etc2Target };
+  } else if (bc) {
+    targets.etc1s = { opaque: bc1Target, alpha: bc7Target };
+  } else if (astc) {
+    targets.etc1s = { opaque: astcTarget, alpha: astcTarget };
+  }
+  if (astc) {
+    targets.uastc = { opaque: astcTarget, alpha: astcTarget };
+  } else if (bc) {
+    targets.uastc = { opaque: bc7Target, alpha: bc7Target };
+  } else if (etc2) {
+    targets.uastc = { opaque: etc1Target, alpha: etc2Target };
+  }
+  return targets;
+}
+
+// The global the transcoder's JS file defines in the worker
+declare const BASIS: any;
+
+// The worker's main function. It's run in the worker after the transcoder's JS
+// file from its source text, so it can't reference anything outside itself
+function transcoderWorker() {
+  let basis: Promise<any> = null;
+  let targets: TranscodeTargets = null;
+
+  const transcode = (module: any, data: Uint8Array) => {
+    const ktx2 = new module.KTX2File(data);
+    try {
+      if (!ktx2.isValid()) {
+        throw Error("Invalid or unsupported KTX2 file");
+      }
+      if (ktx2.getLayers() > 1 || ktx2.getFaces() > 1) {
+        throw Error("KTX2 array and cube map images are not supported");
+      }
+      const width = ktx2.getWidth();
+      const height = ktx2.getHeight();
+      const modeTargets = ktx2.isUASTC() ? targets.uastc : targets.etc1s;
+      let target = ktx2.getHasAlpha() ? modeTargets.alpha : modeTargets.opaque;
+      // Block compressed textures must have a size that's a multiple of the block size
+      if (width % target.blockSize != 0 || height % target.blockSize != 0) {
+        target = targets.fallback;
+      }
+      if (!ktx2.startTranscoding()) {
+        throw Error("Failed to start transcoding KTX2 image");
+      }
+      let levels: Array<ArrayBuffer> = [];
+      for (let level = 0; level < ktx2.getLevels(); ++level) {
+        const size = ktx2.getImageTranscodedSizeInBytes(
+          level,
+          0,
+          0,
+          target.basisFormat
+        );
+        const dst = new Uint8Array(size);
+        if (
+          !ktx2.transcodeImage(dst, level, 0, 0, target.basisFormat, 0, -1, -1)
+        ) {
+          throw Error(`Failed to transcode KTX2 image level ${level}`);
+        }
+        levels.push(dst.buffer);
+      }
+      return {
+        width: width,
+        height: height,
+        target: target,
+        levels: levels,
+      };
+    } finally {
+      ktx2.close();
+      ktx2.delete();
+    }
+  };
+
+  self.onmessage = (evt: MessageEvent) => {
+    const msg = evt.data;
+    if (msg.type == "init") {
+      targets = msg.targets;
+      // A wrong transcoder path can return some other file, e.g., a page from the
+      // server, so check the JS file defined the transcoder before using it
+      basis =
+        typeof BASIS == "function"
+          ? BASIS({ wasmBinary: msg.wasm }).then((module: any) => {
+              module.initializeBasis();
+              return module;
+            })
+          : Promise.reject(
+              Error("basis_transcoder.js does not define the BASIS transcoder")
+            );
+      // Without the transcoder no request can succeed, so fail all of them
+      basis.catch((err: Error) => {
+        self.postMessage({
+          type: "initError",
+          error: err.message || String(err),
+        });
+      });
+      return;
+    }
+    basis
+      .then((module: any) => {
+        const image = transcode(module, new Uint8Array(msg.data));
+        self.postMessage(
+          { id: msg.id, image: image },
+          { transfer: image.levels }
+        );
+      })
+      .catch((err: Error) => {
+        self.postMessage({ id: msg.id, error: err.message || String(err) });
+      });
+  };
+}
+
+// Runs the transcoder worker and tracks the transcode requests
+// sent to it until their results come back
+class KTX2Transcoder {
+  worker: Worker;
+  nextRequest = 0;
+  pending = new Map<
+    number,
+    { resolve: (image: KTX2Image) => void; reject: (err: Error) => void }
+  >();
+
+  // Set when the worker failed, after which all requests are rejected
+  error: Error = null;
+
+  constructor(worker: Worker) {
+    this.worker = worker;
+    // Errors thrown in the worker outside a transcode request, e.g., when the
+    // transcoder's JS file fails to run, won't send back a result, so fail the
+    // pending requests instead of leaving them waiting forever
+    this.worker.onerror = (evt: ErrorEvent) => {
+      evt.preventDefault();
+      this.fail(Error(`The KTX2 transcoder worker failed: ${evt.message}`));
+    };
+    this.worker.onmessage = (evt: MessageEvent) => {
+      const msg = evt.data;
+      if (msg.type == "initError") {
+        this.fail(Error(`Failed to load the KTX2 transcoder: ${msg.error}`));
+        return;
+      }
+      const request = this.pending.get(msg.id);
+      // Requests are dropped from pending when the worker fails
+      if (!request) {
+        return;
+      }
+      this.pending.delete(msg.id);
+      if (msg.error) {
+        request.reject(Error(msg.error));
+        return;
+      }
+      const img = msg.image;
+      request.resolve(
+        new KTX2Image(
+          img.width,
+          img.height,
+          img.target.format,
+          img.target.blockSize,
+          img.target.bytesPerBlock,
+          img.levels
+        )
+      );
+    };
+  }
+
+  // Stop the worker and reject all pending and future requests
+  fail(error: Error) {
+    this.error = error;
+    this.worker.terminate();
+    for (let request of this.pending.values()) {
+      request.reject(error);
+    }
+    this.pending.clear();
+  }
+
+  transcode(data: Uint8Array) {
+    if (this.error) {
+      return Promise.reject(this.error);
+    }
+    const id = this.nextRequest++;
+    // Copy the data so the file's buffer isn't detached by transferring it
+    const copy = data.slice();
+    return new Promise<KTX2Image>((resolve, reject) => {
+      this.pending.set(id, { resolve: resolve, reject: reject });
+      this.worker.postMessage({ type: "transcode", id: id, data: copy }, [
+        copy.buffer,
+      ]);
+    });
+  }
+}
+
+async function fetchTranscoderFile(file: string) {
+  const res = await fetch(transcoderPath + file);
+  if (!res.ok) {
+    throw Error(
+      `Failed to load the KTX2 transcoder ${transcoderPath + file}: ${res.status}`
+    );
+  }
+  return res;
+}
+
+async function createTranscoder(device: GPUDevice) {
+  const [transcoderSource, wasm] = await Promise.all([
+    fetchTranscoderFile("basis_transcoder.js").then((res) => res.text()),
+    fetchTranscoderFile("basis_transcoder.wasm").then((res) =>
+      res.arrayBuffer()
+    ),
+  ]);
+  const workerSource = new Blob(
+    [transcoderSource, `\n(${transcoderWorker.toString()})();\n`],
+    { type: "application/javascript" }
+  );
+  const worker = new Worker(URL.createObjectURL(workerSource));
+  worker.postMessage(
+    { type: "init", wasm: wasm, targets: selectTranscodeTargets(device) },
+    [wasm]
+  );
+  return new KTX2Transcoder(worker);
+}
+
+// The transcoder for each device, created when the first KTX2 image is loaded
+const transcoders = new WeakMap<GPUDevice, Promise<KTX2Transcoder>>();
+
+// Transcode a KTX2 image to a format supported by the device
+export async function transcodeKTX2(device: GPUDevice, data: Uint8Array) {
+  let transcoder = transcoders.get(device);
+  if (!transcoder) {
+    transcoder = createTranscoder(device);
+    transcoders.set(device, transcoder);
+    // If the transcoder failed to load, try loading it again for the next file
+    transcoder.catch(() => transcoders.delete(device));
+  }
+  const ktx2Transcoder = await transcoder;
+  return ktx2Transcoder.transcode(data).catch((err: Error) => {
+    // If the worker failed, start a new one for the next file
+    if (ktx2Transcoder.error && transcoders.get(device) == transcoder) {
+      transcoders.delete(device);
+    }
+    throw err;
+  });
+}
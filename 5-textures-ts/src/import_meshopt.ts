@@ -0,0 +1,54 @@
+import { MeshoptDecoder } from "meshoptimizer";
+import { GLTFBuffer, GLTFBufferView } from "./gltf_buffer";
+import { GLTFValidationReport } from "./gltf_validation";
+
+// Decode a buffer view compressed with EXT_meshopt_compression. The compressed data
+// is stored in the buffer referenced by the extension, while the buffer view's own
+// buffer is a fallback for loaders without meshopt support which may not contain data.
+// Returns null if the data can't be decoded, reporting the error at the pointer
+export async function decodeMeshoptBufferView(
+  bv: any,
+  pointer: string,
+  buffers: GLTFBuffer[],
+  report: GLTFValidationReport
+) {
+  await MeshoptDecoder.ready;
+  if (!MeshoptDecoder.supported) {
+    report.error(
+      pointer,
+      "The meshopt decoder is not supported by this browser"
+    );
+    return null;
+  }
+  const ext = bv["extensions"]["EXT_meshopt_compression"];
+  const byteOffset = (ext["byteOffset"] ?? 0) as number;
+  const source = buffers[ext["buffer"]].buffer.subarray(
+    byteOffset,
+    byteOffset + (ext["byteLength"] as number)
+  );
+  const count = ext["count"] as number;
+  const byteStride = ext["byteStride"] as number;
+  let decoded = new Uint8Array(count * byteStride);
+  try {
+    MeshoptDecoder.decodeGltfBuffer(
+      decoded,
+      count,
+      byteStride,
+      source,
+      ext["mode"],
+      ext["filter"] ?? "NONE"
+    );
+  } catch (err) {
+    report.error(
+      pointer,
+      `Failed to decode meshopt compressed data: ${(err as Error).message}`
+    );
+    return null;
+  }
+  return new GLTFBufferView(
+    new GLTFBuffer(decoded.buffer, 0, decoded.byteLength),
+    decoded.byteLength,
+    0,
+    (bv["byteStride"] ?? 0) as number
+  );
+}
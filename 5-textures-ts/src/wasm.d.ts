@@ -0,0 +1,6 @@
+// WASM files are bundled as resources, importing them gives their URL
+declare module "*.wasm"
+{
+    const content: string;
+    export default content;
+}
@@ -0,0 +1,2 @@
+// TODO: typescript type bindings for this repo
+declare module "draco3d/draco_encoder_nodejs";
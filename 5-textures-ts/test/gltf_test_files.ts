@@ -0,0 +1,72 @@
+// Builds small glTF files for the tests, so that they don't depend on
+// sample assets outside the repo
+
+// Make a .gltf JSON object for a single triangle, with its position and index data
+// embedded in a data URI buffer. Tests modify the returned object to make invalid files
+export function makeTriangleGLTF(): any {
+  const positions = new Float32Array([0, 0, 0, 1, 0, 0, 0, 1, 0]);
+  const indices = new Uint16Array([0, 1, 2]);
+  // The index data is padded to 4 bytes, as the buffer's length must be
+  let data = new Uint8Array(44);
+  data.set(new Uint8Array(positions.buffer), 0);
+  data.set(new Uint8Array(indices.buffer), 36);
+  return {
+    asset: { version: "2.0" },
+    buffers: [
+      {
+        byteLength: data.byteLength,
+        uri: `data:application/octet-stream;base64,${Buffer.from(data).toString("base64")}`,
+      },
+    ],
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: 36 },
+      { buffer: 0, byteOffset: 36, byteLength: 6 },
+    ],
+    accessors: [
+      {
+        bufferView: 0,
+        componentType: 5126,
+        count: 3,
+        type: "VEC3",
+        min: [0, 0, 0],
+        max: [1, 1, 0],
+      },
+      { bufferView: 1, componentType: 5123, count: 3, type: "SCALAR" },
+    ],
+    meshes: [
+      {
+        name: "triangle",
+        primitives: [{ attributes: { POSITION: 0 }, indices: 1 }],
+      },
+    ],
+    nodes: [{ mesh: 0 }],
+    scenes: [{ nodes: [0] }],
+    scene: 0,
+  };
+}
+
+// Pack the glTF JSON and binary data into a glB file
+export function makeGLB(json: any, binary: Uint8Array = null) {
+  const pad = (length: number) => Math.ceil(length / 4) * 4;
+  // The JSON chunk is padded with spaces, the binary chunk with zeros
+  const jsonText = JSON.stringify(json);
+  const jsonLength = pad(jsonText.length);
+  const jsonData = new TextEncoder().encode(jsonText.padEnd(jsonLength, " "));
+  const binaryLength = binary ? pad(binary.byteLength) : 0;
+  const length = 20 + jsonLength + (binary ? 8 + binaryLength : 0);
+
+  let glb = new Uint8Array(length);
+  let view = new DataView(glb.buffer);
+  view.setUint32(0, 0x46546c67, true);
+  view.setUint32(4, 2, true);
+  view.setUint32(8, length, true);
+  view.setUint32(12, jsonLength, true);
+  view.setUint32(16, 0x4e4f534a, true);
+  glb.set(jsonData, 20);
+  if (binary) {
+    view.setUint32(20 + jsonLength, binaryLength, true);
+    view.setUint32(24 + jsonLength, 0x004e4942, true);
+    glb.set(binary, 28 + jsonLength);
+  }
+  return glb.buffer;
+}
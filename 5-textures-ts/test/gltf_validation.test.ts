@@ -0,0 +1,158 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+import { parseGLB, parseGLTF } from "../src/import_glb";
+import { GLTFIssueSeverity, GLTFLoadError } from "../src/gltf_validation";
+import { makeGLB, makeTriangleGLTF } from "./gltf_test_files";
+
+// Check that parsing fails with a GLTFLoadError holding errors at the pointers
+async function assertLoadErrors(parse: Promise<any>, pointers: Array<string>) {
+  await assert.rejects(parse, (err: any) => {
+    assert.ok(err instanceof GLTFLoadError);
+    const errors = err.issues.filter(
+      (i: any) => i.severity == GLTFIssueSeverity.ERROR
+    );
+    assert.deepEqual(
+      errors.map((i: any) => i.pointer),
+      pointers
+    );
+    return true;
+  });
+}
+
+test("rejects files that aren't glB files", async () => {
+  await assertLoadErrors(parseGLB(new ArrayBuffer(8)), [""]);
+  const notGLB = new TextEncoder().encode(JSON.stringify(makeTriangleGLTF()));
+  await assertLoadErrors(parseGLB(notGLB.buffer), [""]);
+});
+
+test("rejects glB files with a truncated or corrupted JSON chunk", async () => {
+  const glb = makeGLB(makeTriangleGLTF());
+  await assertLoadErrors(parseGLB(glb.slice(0, glb.byteLength - 8)), [""]);
+
+  let corrupted = new Uint8Array(glb.slice(0));
+  corrupted[20] = "]".charCodeAt(0);
+  await assertLoadErrors(parseGLB(corrupted.buffer), [""]);
+});
+
+test("rejects glTF JSON that isn't an object", async () => {
+  await assertLoadErrors(parseGLTF("[]"), [""]);
+  await assertLoadErrors(parseGLTF("null"), [""]);
+  await assertLoadErrors(parseGLTF("{"), [""]);
+});
+
+test("rejects unsupported versions and required extensions", async () => {
+  let json = makeTriangleGLTF();
+  json.asset.version = "1.0";
+  json.extensionsRequired = ["EXT_unknown_extension"];
+  await assertLoadErrors(parseGLTF(json), [
+    "/extensionsRequired/0",
+    "/asset/version",
+  ]);
+});
+
+test("reports invalid references at their JSON pointer", async () => {
+  let json = makeTriangleGLTF();
+  json.accessors[0].bufferView = 5;
+  json.meshes[0].primitives[0].material = 0;
+  json.nodes[0].mesh = 1;
+  await assertLoadErrors(parseGLTF(json), [
+    "/accessors/0/bufferView",
+    "/meshes/0/primitives/0/material",
+    "/nodes/0/mesh",
+  ]);
+});
+
+test("reports data past the end of buffers and buffer views", async () => {
+  let json = makeTriangleGLTF();
+  json.bufferViews[1].byteLength = 12;
+  json.accessors[1].count = 4;
+  await assertLoadErrors(parseGLTF(json), ["/bufferViews/1"]);
+
+  json = makeTriangleGLTF();
+  json.accessors[1].count = 4;
+  await assertLoadErrors(parseGLTF(json), ["/accessors/1"]);
+});
+
+test("reports out of range indices", async () => {
+  let json = makeTriangleGLTF();
+  json.accessors[0].count = 2;
+  json.accessors[0].max = [1, 0, 0];
+  await assertLoadErrors(parseGLTF(json), ["/meshes/0/primitives/0/indices"]);
+});
+
+test("reports primitives without positions", async () => {
+  let json = makeTriangleGLTF();
+  json.meshes[0].primitives[0].attributes = { NORMAL: 0 };
+  await assertLoadErrors(parseGLTF(json), [
+    "/meshes/0/primitives/0/attributes",
+  ]);
+});
+
+test("reports invalid primitive modes", async () => {
+  let json = makeTriangleGLTF();
+  json.meshes[0].primitives[0].mode = "TRIANGLES";
+  await assertLoadErrors(parseGLTF(json), ["/meshes/0/primitives/0/mode"]);
+
+  json = makeTriangleGLTF();
+  json.meshes[0].primitives[0].mode = 7;
+  await assertLoadErrors(parseGLTF(json), ["/meshes/0/primitives/0/mode"]);
+});
+
+test("reports invalid lights and cameras", async () => {
+  let json = makeTriangleGLTF();
+  json.extensionsUsed = ["KHR_lights_punctual"];
+  json.extensions = {
+    KHR_lights_punctual: { lights: [{ type: "area" }] },
+  };
+  json.cameras = [{ type: "fisheye" }, { type: "perspective" }];
+  await assertLoadErrors(parseGLTF(json), [
+    "/extensions/KHR_lights_punctual/lights/0/type",
+    "/cameras/0/type",
+    "/cameras/1",
+  ]);
+});
+
+test("reports buffers and images that can't be loaded", async () => {
+  let json = makeTriangleGLTF();
+  json.buffers[0].uri = "missing.bin";
+  await assertLoadErrors(parseGLTF(json), ["/buffers/0/uri"]);
+
+  json = makeTriangleGLTF();
+  json.images = [{ uri: "missing.png" }];
+  await assertLoadErrors(parseGLTF(json), ["/images/0/uri"]);
+
+  json = makeTriangleGLTF();
+  json.images = [{ uri: "data:image/png;base64" }];
+  await assertLoadErrors(parseGLTF(json), ["/images/0/uri"]);
+});
+
+test("reports invalid animation samplers and targets", async () => {
+  let json = makeTriangleGLTF();
+  // Keyframe times read from the triangle's position data
+  json.accessors.push({
+    bufferView: 0,
+    componentType: 5126,
+    count: 3,
+    type: "SCALAR",
+  });
+  json.animations = [
+    {
+      samplers: [
+        { input: 2, output: 0 },
+        { input: 1, output: 0 },
+      ],
+      channels: [
+        { sampler: 0, target: { node: 0, path: "translation" } },
+        { sampler: 0, target: { node: 0, path: "rotation" } },
+        { sampler: 0, target: { node: 0, path: "color" } },
+        { sampler: 0, target: { node: 0, path: "weights" } },
+      ],
+    },
+  ];
+  await assertLoadErrors(parseGLTF(json), [
+    "/animations/0/samplers/1/input",
+    "/animations/0/samplers/0/output",
+    "/animations/0/channels/2/target/path",
+    "/animations/0/channels/3/target/node",
+  ]);
+});
@@ -0,0 +1,124 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+import createDecoderModule from "draco3d/draco_decoder_nodejs";
+import createEncoderModule from "draco3d/draco_encoder_nodejs";
+import { parseGLB, parseGLTF } from "../src/import_glb";
+import { GLTFLoadError } from "../src/gltf_validation";
+import { makeGLB } from "./gltf_test_files";
+
+// In Node the decoder loads its WASM file from the draco3d package
+const loadDecoder = () => createDecoderModule({});
+
+// A quad made of two triangles
+const positions = new Float32Array([0, 0, 0, 1, 0, 0, 1, 1, 0, 0, 1, 0]);
+const indices = new Uint32Array([0, 1, 2, 0, 2, 3]);
+
+// Encode the quad with Draco, returning the compressed data and the unique
+// ID of its position attribute
+async function encodeQuad() {
+  const encoder = await createEncoderModule({});
+  const builder = new encoder.MeshBuilder();
+  const mesh = new encoder.Mesh();
+  builder.AddFacesToMesh(mesh, indices.length / 3, indices);
+  const positionId = builder.AddFloatAttributeToMesh(
+    mesh,
+    encoder.POSITION,
+    positions.length / 3,
+    3,
+    positions
+  );
+  // Sequential encoding without quantization keeps the vertices
+  // in order and their positions exact
+  const dracoEncoder = new encoder.Encoder();
+  dracoEncoder.SetEncodingMethod(encoder.MESH_SEQUENTIAL_ENCODING);
+  const dracoBuffer = new encoder.DracoInt8Array();
+  const length = dracoEncoder.EncodeMeshToDracoBuffer(mesh, dracoBuffer);
+  let data = new Uint8Array(length);
+  for (let i = 0; i < length; ++i) {
+    data[i] = dracoBuffer.GetValue(i);
+  }
+  encoder.destroy(dracoBuffer);
+  encoder.destroy(dracoEncoder);
+  encoder.destroy(mesh);
+  encoder.destroy(builder);
+  return { data, positionId };
+}
+
+// Make a glB file holding the Draco compressed quad
+async function makeDracoQuadGLB() {
+  const { data, positionId } = await encodeQuad();
+  const json = {
+    asset: { version: "2.0" },
+    extensionsUsed: ["KHR_draco_mesh_compression"],
+    extensionsRequired: ["KHR_draco_mesh_compression"],
+    buffers: [{ byteLength: data.byteLength }],
+    bufferViews: [{ buffer: 0, byteLength: data.byteLength }],
+    accessors: [
+      {
+        componentType: 5126,
+        count: 4,
+        type: "VEC3",
+        min: [0, 0, 0],
+        max: [1, 1, 0],
+      },
+      { componentType: 5125, count: 6, type: "SCALAR" },
+    ],
+    meshes: [
+      {
+        primitives: [
+          {
+            attributes: { POSITION: 0 },
+            indices: 1,
+            extensions: {
+              KHR_draco_mesh_compression: {
+                bufferView: 0,
+                attributes: { POSITION: positionId },
+              },
+            },
+          },
+        ],
+      },
+    ],
+    nodes: [{ mesh: 0 }],
+    scenes: [{ nodes: [0] }],
+  };
+  return makeGLB(json, data);
+}
+
+test("decodes Draco compressed primitives with the decoder passed in", async () => {
+  const gltf = await parseGLB(await makeDracoQuadGLB(), undefined, loadDecoder);
+  assert.deepEqual(gltf.issues, []);
+
+  const prim = gltf.meshes[0].primitives[0];
+  assert.deepEqual(Array.from(prim.indices.readIndices()), Array.from(indices));
+  const position = prim.attributes.get("POSITION");
+  assert.equal(position.count, 4);
+  const decoded = new Float32Array(
+    position.view.view.slice(position.byteOffset).buffer,
+    0,
+    positions.length
+  );
+  assert.deepEqual(Array.from(decoded), Array.from(positions));
+});
+
+test("reports Draco compressed primitives when no decoder is given", async () => {
+  await assert.rejects(parseGLB(await makeDracoQuadGLB()), (err: any) => {
+    assert.ok(err instanceof GLTFLoadError);
+    assert.deepEqual(
+      err.issues.map((i: any) => i.pointer),
+      ["/meshes/0/primitives/0/extensions/KHR_draco_mesh_compression"]
+    );
+    return true;
+  });
+});
+
+test("doesn't load the decoder for files without Draco data", async () => {
+  const json = {
+    asset: { version: "2.0" },
+    scenes: [{ nodes: [] as number[] }],
+  };
+  const gltf = await parseGLTF(json, undefined, () => {
+    throw Error("The Draco decoder should not be loaded");
+  });
+  assert.equal(gltf.scenes.length, 1);
+});
@@ -0,0 +1,131 @@
+import { test } from "node:test";
+import { strict as assert } from "node:assert";
+import * as fs from "fs";
+import * as path from "path";
+import { parseGLB, parseGLTF } from "../src/import_glb";
+import { GLTFIssueSeverity } from "../src/gltf_validation";
+import { makeGLB, makeTriangleGLTF } from "./gltf_test_files";
+
+// Read a file from the repo's src directory into an ArrayBuffer
+function readSrcFile(name: string) {
+  const data = fs.readFileSync(path.join(__dirname, "../../../src", name));
+  return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+}
+
+function assertClose(actual: ArrayLike<number>, expected: number[]) {
+  assert.equal(actual.length, expected.length);
+  for (let i = 0; i < expected.length; ++i) {
+    assert.ok(
+      Math.abs(actual[i] - expected[i]) < 1e-3,
+      `${Array.from(actual)} is not close to ${expected}`
+    );
+  }
+}
+
+test("parses Duck.glb", async () => {
+  const gltf = await parseGLB(readSrcFile("Duck.glb"));
+  assert.deepEqual(gltf.issues, []);
+
+  assert.equal(gltf.meshes.length, 1);
+  const prim = gltf.meshes[0].primitives[0];
+  assert.equal(gltf.meshes[0].primitives.length, 1);
+  assert.deepEqual(Array.from(prim.attributes.keys()).sort(), [
+    "NORMAL",
+    "POSITION",
+    "TEXCOORD_0",
+  ]);
+  assert.equal(prim.attributes.get("POSITION").count, 2399);
+  assert.equal(prim.indices.count, 12636);
+  assert.equal(prim.material, gltf.materials[0]);
+
+  assert.equal(gltf.images.length, 1);
+  assert.equal(gltf.images[0].mimeType, "image/png");
+  // Parsing keeps the image encoded, it's decoded when uploading
+  assert.equal(gltf.images[0].bitmap, null);
+  assert.equal(gltf.textures.length, 1);
+  assert.equal(gltf.textures[0].image, gltf.images[0]);
+
+  assert.equal(gltf.scenes.length, 1);
+  assert.equal(gltf.scene, gltf.scenes[0]);
+  assert.equal(gltf.nodes.length, 3);
+  assert.equal(gltf.scene.nodes.length, 3);
+  const bounds = gltf.scene.bounds;
+  assertClose(bounds.min, [-0.693, 0.099, -0.613]);
+  assertClose(bounds.max, [0.962, 1.64, 0.539]);
+});
+
+test("parses a .gltf file with a data URI buffer", async () => {
+  const gltf = await parseGLTF(JSON.stringify(makeTriangleGLTF()));
+  assert.deepEqual(gltf.issues, []);
+  assert.equal(gltf.meshes[0].name, "triangle");
+  const prim = gltf.meshes[0].primitives[0];
+  assert.deepEqual(Array.from(prim.indices.readIndices()), [0, 1, 2]);
+  assertClose(prim.boundsMin, [0, 0, 0]);
+  assertClose(prim.boundsMax, [1, 1, 0]);
+});
+
+test("parses a glB file with external buffers", async () => {
+  let json = makeTriangleGLTF();
+  const data = Buffer.from(json.buffers[0].uri.split(",")[1], "base64");
+  json.buffers[0].uri = "triangle.bin";
+  const resolver = async (uri: string) => {
+    assert.equal(uri, "triangle.bin");
+    return data.buffer.slice(
+      data.byteOffset,
+      data.byteOffset + data.byteLength
+    );
+  };
+  const gltf = await parseGLB(makeGLB(json), resolver);
+  assert.deepEqual(gltf.issues, []);
+  assert.equal(gltf.meshes[0].primitives[0].indices.count, 3);
+});
+
+test("picks the default scene, or the first if none is given", async () => {
+  let json = makeTriangleGLTF();
+  json.nodes.push({ mesh: 0, translation: [2, 0, 0] });
+  json.scenes = [
+    { name: "first", nodes: [0] },
+    { name: "second", nodes: [1] },
+  ];
+  json.scene = 1;
+  let gltf = await parseGLTF(json);
+  assert.equal(gltf.defaultSceneIndex, 1);
+  assert.equal(gltf.scene.name, "second");
+  assertClose(gltf.scene.bounds.min, [2, 0, 0]);
+
+  assert.equal(gltf.setActiveScene("first"), gltf.scenes[0]);
+  assertClose(gltf.scene.bounds.min, [0, 0, 0]);
+  assert.throws(() => gltf.setActiveScene(2));
+
+  delete json.scene;
+  gltf = await parseGLTF(json);
+  assert.equal(gltf.defaultSceneIndex, null);
+  assert.equal(gltf.scene.name, "first");
+});
+
+test("uses an empty scene for files without scenes", async () => {
+  let json = makeTriangleGLTF();
+  delete json.scenes;
+  delete json.scene;
+  const gltf = await parseGLTF(json);
+  assert.equal(gltf.scenes.length, 0);
+  assert.equal(gltf.scene, gltf.emptyScene);
+  assert.equal(gltf.scene.nodes.length, 0);
+  // The meshes are still loaded for the application to use
+  assert.equal(gltf.meshes.length, 1);
+});
+
+test("reports problems the loader works around as warnings", async () => {
+  let json = makeTriangleGLTF();
+  json.materials = [{ alphaMode: "TRANSLUCENT" }];
+  json.meshes[0].primitives[0].material = 0;
+  json.extensionsUsed = ["EXT_unknown_extension"];
+  const gltf = await parseGLTF(json);
+  assert.deepEqual(
+    gltf.issues.map((i) => [i.severity, i.pointer]),
+    [
+      [GLTFIssueSeverity.WARNING, "/extensionsUsed/0"],
+      [GLTFIssueSeverity.WARNING, "/materials/0/alphaMode"],
+    ]
+  );
+});
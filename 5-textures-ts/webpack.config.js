@@ -15,6 +15,11 @@ module.exports = {
                 test: /\.(png|jpg|jpeg|glb)$/i,
                 type: "asset/resource",
             },
+            {
+                // Bundle the WASM decoders as files that are loaded at runtime
+                test: /\.wasm$/i,
+                type: "asset/resource",
+            },
             {
                 // Embed your WGSL files as strings
                 test: /\.wgsl$/i,
@@ -29,6 +34,11 @@ module.exports = {
     },
     resolve: {
         extensions: [".tsx", ".ts", ".js"],
+        // The Draco decoder only uses these Node modules when running in Node
+        fallback: {
+            fs: false,
+            path: false,
+        },
     },
     plugins: [new HtmlWebpackPlugin({
         template: "./index.html",